@@ -1,260 +1,156 @@
-const { OpenAI } = require('openai');
 const { v4: uuidv4 } = require('uuid');
+const { getQuestionProvider } = require('./questionProviders');
+const { normalizeQuestionTypes, validateQuestions } = require('./questionValidation');
+const { sampleQuestions } = require('./questionBank');
+const { filterNewQuestions, fingerprintQuestion, recentQuestionStems } = require('./questionHistory');
+const { createCitationLocator } = require('./notesCitations');
+const { correctAnswerText } = require('./questionTypes');
 require('dotenv').config();
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// How many times to ask the provider for more when too few questions pass validation
+const MAX_GENERATION_ATTEMPTS = 3;
+
+// Longest explanation kept for a question
+const MAX_EXPLANATION_LENGTH = 600;
+
+// Explanations kept for questions asked again, in this room or another - oldest dropped first
+const MAX_CACHED_EXPLANATIONS = 500;
+const explanationCache = new Map();
 
 /**
- * Generate trivia questions using OpenAI
+ * Generate trivia questions using the configured question provider
  * @param {string} topic - The topic for trivia questions or study notes content
  * @param {number} count - Number of questions to generate
  * @param {string} difficulty - Difficulty level (easy, medium, hard)
  * @param {boolean} useNotes - Whether to generate questions from study notes
- * @returns {Array} - Array of question objects
+ * @param {Object} options - Extra generation options
+ * @param {Array} options.history - Room question history, used to avoid repeating earlier questions
+ * @param {string} options.section - Heading of the notes section the content comes from
+ * @param {Object} options.notes - { content, sections, range } - full notes that notes-based questions must cite
+ * @param {Array} options.questionTypes - Question types to generate, multiple choice only by default
+ * @returns {Array} - Array of question objects, always `count` long
  */
-async function generateTriviaQuestions(topic, count = 5, difficulty = 'medium', useNotes = false) {
+async function generateTriviaQuestions(topic, count = 5, difficulty = 'medium', useNotes = false, options = {}) {
+  const history = options.history || [];
+  const section = options.section || null;
+  const questionTypes = normalizeQuestionTypes(options.questionTypes);
+  const locateCitation = useNotes && options.notes
+    ? createCitationLocator(options.notes.content, options.notes.sections, options.notes.range)
+    : null;
+
+  console.log(`Starting generation of ${count} ${difficulty} trivia questions on ${useNotes ? 'study notes' : 'topic'}: ${topic.substring(0, 100)}...`);
+  
+  const questions = [];
+  const excludeQuestions = recentQuestionStems(history);
+  
   try {
-    console.log(`Starting AI generation for ${count} ${difficulty} trivia questions on ${useNotes ? 'study notes' : 'topic'}: ${topic.substring(0, 100)}...`);
+    const provider = getQuestionProvider();
     
-    if (!process.env.OPENAI_API_KEY) {
-      console.warn("No OpenAI API key found, using fallback questions");
-      return getFallbackTriviaQuestions(difficulty);
+    for (let attempt = 1; attempt <= MAX_GENERATION_ATTEMPTS && questions.length < count; attempt++) {
+      const needed = count - questions.length;
+      const rawQuestions = await provider.generateQuestions({ topic, count: needed, difficulty, useNotes, excludeQuestions, section, questionTypes });
+      const { valid, rejected } = validateQuestions(rawQuestions, questions, questionTypes);
+      
+      rejected.forEach(({ text, reason }) => {
+        console.warn(`Dropped generated question "${text}": ${reason}`);
+      });
+      
+      // Drop questions the room has already seen in earlier batches
+      const { fresh, duplicates } = filterNewQuestions(valid, history);
+      const accepted = locateCitation ? citeQuestions(fresh, locateCitation) : fresh;
+      console.log(`Attempt ${attempt}: ${accepted.length} of ${needed} requested questions from ${provider.name} provider passed validation (${duplicates.length} repeats dropped)`);
+      
+      questions.push(...accepted);
     }
+  } catch (error) {
+    console.error("Error generating trivia questions:", error);
+    console.error("Stack trace:", error.stack);
+  }
+  
+  // Top up from the question bank so the batch always has the requested count
+  if (questions.length < count) {
+    console.warn(`Only ${questions.length} valid questions generated, topping up from the question bank`);
+    const bankQuestions = sampleQuestions({ topic: useNotes ? '' : topic, difficulty, count: count * 2, types: questionTypes });
+    const { valid } = validateQuestions(bankQuestions, questions);
+    
+    // Prefer questions the room hasn't seen, but repeat some rather than come up short
+    const { fresh, duplicates } = filterNewQuestions(valid, [...history]);
+    questions.push(...[...fresh, ...duplicates].slice(0, count - questions.length));
+  }
+  
+  return questions.slice(0, count).map(question => ({
+    ...question,
+    id: uuidv4(),
+    difficulty,
+    timeLimit: 10
+  }));
+}
 
-    let prompt;
-    if (useNotes) {
-      prompt = `Generate ${count} unique ${difficulty}-level multiple-choice questions based on these study notes.
-               Use ONLY the provided content to create questions:
-
-               ${topic}
-
-               Create questions that test understanding of key concepts from the notes.
-               For each question:
-               1. Focus on SPECIFIC information directly stated in the notes
-               2. Create plausible but incorrect options based on content from the notes
-               3. Make sure the correct answer is explicitly supported by the notes
-               4. Do not generate questions about general topics - only use the provided content
-               
-               Format your response as a JSON object with a 'questions' field containing an array of question objects.
-               
-               Questions MUST be answerable solely from the provided notes.`;
-    } else {
-      prompt = `Generate ${count} unique ${difficulty}-level multiple-choice trivia questions about ${topic}.
-               For each new set of questions, cover different aspects than previously asked questions.
-               Each question should have 4 options with only one correct answer.
-               Format your response as a JSON object with a 'questions' field containing an array of question objects.`;
+/**
+ * Replace each question's quoted source with a citation verified against the notes
+ * @param {Array} questions - Validated questions with a source quote
+ * @param {Function} locateCitation - Locator from createCitationLocator
+ * @returns {Array} - Questions whose source was found in the notes
+ */
+function citeQuestions(questions, locateCitation) {
+  return questions.filter(question => {
+    const citation = locateCitation(question.source);
+    
+    if (!citation) {
+      console.warn(`Dropped notes question "${question.text.substring(0, 50)}": source excerpt not found in notes`);
+      return false;
     }
+    
+    question.source = citation;
+    return true;
+  });
+}
 
-    prompt += `Each question object should have these fields:
-              - id: a unique number for each question (1, 2, 3, etc.)
-              - text: the question text
-              - options: array of 4 possible answers as strings
-              - correctIndex: index of the correct answer (0-3)
-              - timeLimit: time limit in seconds (10)`;
-
-    const response = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [
-        {
-          role: "system",
-          content: useNotes 
-            ? "You are an expert at creating educational assessment questions from study materials."
-            : "You are a helpful assistant that generates unique trivia questions. Vary the types of questions you ask."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      response_format: { type: "json_object" },
-      temperature: useNotes ? 0.3 : 0.9 // Lower temperature for study notes to ensure accuracy
-    });
+/**
+ * Ask the question provider why a question's answer is correct, for questions that were
+ * generated without an explanation. Notes-based questions are explained from their cited excerpt.
+ * Bank questions are never explained, and explanations are cached by question fingerprint, so
+ * a question asked again doesn't cost another provider call.
+ * @param {Object} question - Question to explain
+ * @param {Object} options - Explanation options
+ * @param {Function} options.allowCall - Called before a provider request, false skips it (e.g. over budget)
+ * @returns {string|null} - Short explanation, or null if none could be produced
+ */
+async function explainQuestion(question, { allowCall = () => true } = {}) {
+  if (question.fromBank) return null;
 
-    console.log("Received response from OpenAI");
-    
-    const responseContent = response.choices[0].message.content;
-    console.log("Response content preview:", responseContent.substring(0, 100) + "...");
+  try {
+    const key = fingerprintQuestion(question).key;
+    if (explanationCache.has(key)) return explanationCache.get(key);
     
-    let data;
-    try {
-      data = JSON.parse(responseContent);
-      console.log("Parsed JSON successfully");
-    } catch (parseError) {
-      console.error("Error parsing JSON:", parseError);
-      console.error("Full response:", responseContent);
-      throw new Error("Failed to parse response from OpenAI");
+    const provider = getQuestionProvider();
+    if (typeof provider.explainAnswer !== 'function') return null;
+    if (!allowCall()) {
+      console.warn(`Skipped explaining question "${question.text.substring(0, 50)}": explanation budget used up`);
+      return null;
     }
     
-    if (!data.questions) {
-      console.error("Response doesn't contain 'questions' field:", data);
-      const possibleQuestionArray = Object.values(data).find(val => Array.isArray(val));
-      if (possibleQuestionArray) {
-        console.log("Found an array in response, using as questions");
-        data.questions = possibleQuestionArray;
-      } else {
-        throw new Error("Response doesn't contain a questions array");
-      }
-    }
+    const explanation = await provider.explainAnswer({
+      text: question.text,
+      correctAnswer: correctAnswerText(question),
+      source: question.source ? question.source.excerpt : null
+    });
     
-    if (!Array.isArray(data.questions)) {
-      console.error("'questions' is not an array:", data.questions);
-      throw new Error("Response format is incorrect - questions is not an array");
-    }
+    if (typeof explanation !== 'string' || !explanation.trim()) return null;
     
-    if (data.questions.length === 0) {
-      console.error("Questions array is empty");
-      throw new Error("AI generated an empty questions array");
+    const trimmed = explanation.trim().substring(0, MAX_EXPLANATION_LENGTH);
+    explanationCache.set(key, trimmed);
+    if (explanationCache.size > MAX_CACHED_EXPLANATIONS) {
+      explanationCache.delete(explanationCache.keys().next().value);
     }
-    
-    console.log("Successfully found questions array with length:", data.questions.length);
-    console.log("First question preview:", data.questions[0].text.substring(0, 30) + "...");
-    
-    const questionsWithUuid = data.questions.map(question => ({
-      ...question,
-      id: uuidv4(),
-      timeLimit: 10
-    }));
-    
-    return questionsWithUuid;
+    return trimmed;
   } catch (error) {
-    console.error("Error generating trivia questions:", error);
-    console.error("Stack trace:", error.stack);
-    return getFallbackTriviaQuestions(difficulty);
+    console.error(`Error explaining question "${String(question.text).substring(0, 50)}":`, error.message);
+    return null;
   }
 }
 
-/**
- * Fallback questions in case AI generation fails
- * @param {string} difficulty - Difficulty level (easy, medium, hard)
- * @returns {Array} - Array of fallback question objects
- */
-function getFallbackTriviaQuestions(difficulty = 'medium') {
-  // Easy questions
-  const easyQuestions = [
-    {
-      id: uuidv4(),
-      text: "What is the capital of France?",
-      options: ["Berlin", "London", "Paris", "Madrid"],
-      correctIndex: 2,
-      timeLimit: 10
-    },
-    {
-      id: uuidv4(),
-      text: "Which planet is known as the Red Planet?",
-      options: ["Earth", "Mars", "Jupiter", "Venus"],
-      correctIndex: 1,
-      timeLimit: 10
-    },
-    {
-      id: uuidv4(),
-      text: "What element has the chemical symbol 'O'?",
-      options: ["Gold", "Oxygen", "Iron", "Carbon"],
-      correctIndex: 1,
-      timeLimit: 10
-    },
-    {
-      id: uuidv4(),
-      text: "What is the largest mammal on Earth?",
-      options: ["African Elephant", "Blue Whale", "Giraffe", "Hippopotamus"],
-      correctIndex: 1,
-      timeLimit: 10
-    },
-    {
-      id: uuidv4(),
-      text: "Who wrote 'Romeo and Juliet'?",
-      options: ["Charles Dickens", "William Shakespeare", "Jane Austen", "Mark Twain"],
-      correctIndex: 1,
-      timeLimit: 10
-    }
-  ];
-  
-  // Medium questions
-  const mediumQuestions = [
-    {
-      id: uuidv4(),
-      text: "In which year did World War II end?",
-      options: ["1943", "1945", "1947", "1950"],
-      correctIndex: 1,
-      timeLimit: 10
-    },
-    {
-      id: uuidv4(),
-      text: "Which element has the atomic number 79?",
-      options: ["Silver", "Gold", "Platinum", "Copper"],
-      correctIndex: 1,
-      timeLimit: 10
-    },
-    {
-      id: uuidv4(),
-      text: "What is the capital of Australia?",
-      options: ["Sydney", "Melbourne", "Canberra", "Perth"],
-      correctIndex: 2,
-      timeLimit: 10
-    },
-    {
-      id: uuidv4(),
-      text: "Who painted 'Starry Night'?",
-      options: ["Pablo Picasso", "Claude Monet", "Vincent van Gogh", "Leonardo da Vinci"],
-      correctIndex: 2,
-      timeLimit: 10
-    },
-    {
-      id: uuidv4(),
-      text: "Which country is home to the Great Barrier Reef?",
-      options: ["Brazil", "Australia", "Thailand", "Mexico"],
-      correctIndex: 1,
-      timeLimit: 10
-    }
-  ];
-  
-  // Hard questions
-  const hardQuestions = [
-    {
-      id: uuidv4(),
-      text: "What is the smallest prime number greater than 100?",
-      options: ["101", "103", "107", "109"],
-      correctIndex: 0,
-      timeLimit: 10
-    },
-    {
-      id: uuidv4(),
-      text: "Who was the first woman to win a Nobel Prize?",
-      options: ["Marie Curie", "Rosalind Franklin", "Dorothy Hodgkin", "Barbara McClintock"],
-      correctIndex: 0,
-      timeLimit: 10
-    },
-    {
-      id: uuidv4(),
-      text: "What is the capital of Bhutan?",
-      options: ["Thimphu", "Kathmandu", "Dhaka", "Ulaanbaatar"],
-      correctIndex: 0,
-      timeLimit: 10
-    },
-    {
-      id: uuidv4(),
-      text: "In which year was the first Olympic Games held in ancient Greece?",
-      options: ["776 BC", "896 BC", "480 BC", "520 BC"],
-      correctIndex: 0,
-      timeLimit: 10
-    },
-    {
-      id: uuidv4(),
-      text: "Who composed the opera 'The Magic Flute'?",
-      options: ["Johann Sebastian Bach", "Ludwig van Beethoven", "Wolfgang Amadeus Mozart", "Richard Wagner"],
-      correctIndex: 2,
-      timeLimit: 10
-    }
-  ];
-  
-  // Select based on difficulty
-  if (difficulty === 'easy') return easyQuestions;
-  if (difficulty === 'hard') return hardQuestions;
-  return mediumQuestions; // Default to medium
-}
-
 module.exports = {
+  explainQuestion,
   generateTriviaQuestions
 };
\ No newline at end of file
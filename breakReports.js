@@ -0,0 +1,227 @@
+const { answerText, correctAnswerText } = require('./questionTypes');
+
+const REPORT_FORMATS = ['json', 'csv', 'markdown'];
+
+const FORMAT_ALIASES = {
+  json: 'json',
+  csv: 'csv',
+  markdown: 'markdown',
+  md: 'markdown'
+};
+
+const CONTENT_TYPES = {
+  json: 'application/json; charset=utf-8',
+  csv: 'text/csv; charset=utf-8',
+  markdown: 'text/markdown; charset=utf-8'
+};
+
+const FILE_EXTENSIONS = {
+  json: 'json',
+  csv: 'csv',
+  markdown: 'md'
+};
+
+// Spreadsheets run CSV cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Record how everyone did on a question, for the report of the break it was asked in
+ * @param {Object} question - Question that just ended
+ * @param {Array} gradedAnswers - Each player's own answers from gradeAnswers
+ * @param {Array} breakdowns - Points from scoreAnswers - in team consensus mode, the team's points
+ * @param {Array} participants - Connected participants, who all count towards accuracy
+ * @param {number} startedAt - When the question went out
+ * @returns {Object} - Question result for the break's report
+ */
+function summarizeQuestion(question, gradedAnswers, breakdowns, participants, startedAt) {
+  const answers = participants.map(participant => {
+    const answer = gradedAnswers.find(entry => entry.userId === participant.id);
+    const breakdown = breakdowns.find(entry => entry.userId === participant.id);
+
+    return {
+      playerId: participant.id,
+      username: participant.username,
+      answer: answer ? answerText(question, answer.answer) : null,
+      credit: answer ? answer.credit : 0,
+      timeTaken: answer && startedAt ? Math.round((answer.answeredAt - startedAt) / 100) / 10 : null,
+      points: breakdown ? breakdown.points : 0
+    };
+  });
+
+  const totalCredit = answers.reduce((sum, entry) => sum + entry.credit, 0);
+
+  return {
+    questionId: question.id,
+    type: question.type || 'multiple-choice',
+    text: question.text,
+    options: question.options || null,
+    correctAnswer: correctAnswerText(question),
+    source: question.source ? question.source.excerpt : null,
+    explanation: question.explanation || null,
+    review: Boolean(question.review),
+    accuracy: answers.length > 0 ? Math.round((totalCredit / answers.length) * 100) : null,
+    answers
+  };
+}
+
+/**
+ * Full report for one break of a room
+ * @param {Object} room - Room the break was played in
+ * @param {Object} breakEntry - Entry from the room's break history
+ * @returns {Object} - Report with the break's standings and every question's answers
+ */
+function buildBreakReport(room, breakEntry) {
+  const questions = breakEntry.questions || [];
+  const rated = questions.filter(question => question.accuracy !== null);
+
+  return {
+    roomId: room.id,
+    roomName: room.name,
+    breakNumber: breakEntry.breakNumber,
+    startedAt: new Date(breakEntry.startedAt).toISOString(),
+    endedAt: new Date(breakEntry.endedAt).toISOString(),
+    topic: breakEntry.topic,
+    winnerId: breakEntry.winnerId,
+    scores: breakEntry.scores,
+    questionCount: questions.length,
+    averageAccuracy: rated.length > 0
+      ? Math.round(rated.reduce((sum, question) => sum + question.accuracy, 0) / rated.length)
+      : null,
+    questions
+  };
+}
+
+function resultLabel(credit) {
+  if (credit >= 1) return 'correct';
+  return credit > 0 ? 'partial' : 'wrong';
+}
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+
+  // Players pick their own names and answers, so text that looks like a formula is kept as text
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(report) {
+  const header = ['break', 'question', 'type', 'text', 'correct answer', 'explanation', 'accuracy %', 'player', 'answer', 'result', 'time (s)', 'points'];
+  const rows = [header];
+
+  report.questions.forEach((question, index) => {
+    question.answers.forEach(entry => {
+      rows.push([
+        report.breakNumber,
+        index + 1,
+        question.type,
+        question.text,
+        question.correctAnswer,
+        question.explanation,
+        question.accuracy,
+        entry.username,
+        entry.answer,
+        entry.answer === null ? 'no answer' : resultLabel(entry.credit),
+        entry.timeTaken,
+        entry.points
+      ]);
+    });
+  });
+
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function markdownCell(value) {
+  return value === null || value === undefined ? '-' : String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function toMarkdown(report) {
+  const lines = [
+    `# ${report.roomName || report.roomId} - break ${report.breakNumber}`,
+    '',
+    `- Topic: ${report.topic}`,
+    `- Played: ${report.startedAt} to ${report.endedAt}`,
+    `- Questions: ${report.questionCount}${report.averageAccuracy !== null ? `, ${report.averageAccuracy}% answered correctly on average` : ''}`,
+    '',
+    '## Scores',
+    '',
+    '| Player | Score |',
+    '| --- | --- |',
+    ...report.scores.map(entry => `| ${markdownCell(entry.username)} | ${entry.score} |`)
+  ];
+
+  report.questions.forEach((question, index) => {
+    lines.push(
+      '',
+      `## ${index + 1}. ${markdownCell(question.text)}${question.review ? ' (review)' : ''}`,
+      ''
+    );
+
+    if (question.options) {
+      question.options.forEach(option => lines.push(`- ${option}`));
+      lines.push('');
+    }
+
+    lines.push(`**Correct answer:** ${question.correctAnswer}`);
+    if (question.explanation) {
+      lines.push('', question.explanation);
+    }
+    if (question.source) {
+      lines.push('', `> ${question.source.replace(/\n+/g, ' ')}`);
+    }
+    if (question.accuracy !== null) {
+      lines.push('', `Accuracy: ${question.accuracy}%`);
+    }
+
+    lines.push(
+      '',
+      '| Player | Answer | Result | Time (s) | Points |',
+      '| --- | --- | --- | --- | --- |',
+      ...question.answers.map(entry => `| ${markdownCell(entry.username)} | ${markdownCell(entry.answer)} | ${entry.answer === null ? 'no answer' : resultLabel(entry.credit)} | ${markdownCell(entry.timeTaken)} | ${entry.points} |`)
+    );
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Work out the export format from a request parameter
+ * @param {string} format - json, csv, markdown or md
+ * @returns {string|null} - Format name, or null if unsupported
+ */
+function resolveReportFormat(format) {
+  return FORMAT_ALIASES[String(format || 'json').toLowerCase()] || null;
+}
+
+/**
+ * Render a report for export
+ * @param {Object} report - Result of buildBreakReport
+ * @param {string} format - One of REPORT_FORMATS
+ * @returns {Object} - { content, contentType, fileName }
+ */
+function exportReport(report, format) {
+  let content;
+  if (format === 'csv') {
+    content = toCsv(report);
+  } else if (format === 'markdown') {
+    content = toMarkdown(report);
+  } else {
+    content = JSON.stringify(report, null, 2);
+  }
+
+  return {
+    content,
+    contentType: CONTENT_TYPES[format],
+    fileName: `room-${report.roomId}-break-${report.breakNumber}.${FILE_EXTENSIONS[format]}`
+  };
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  buildBreakReport,
+  exportReport,
+  resolveReportFormat,
+  summarizeQuestion
+};
@@ -0,0 +1,72 @@
+// Longest phase a plan may ask for, in seconds
+const MAX_PHASE_SECONDS = 4 * 60 * 60;
+
+function toPositiveInteger(value) {
+  const number = parseInt(value, 10);
+  return number > 0 ? number : null;
+}
+
+/**
+ * Work out a room's Pomodoro cycle plan from its settings. A cycle is one study phase
+ * followed by one break.
+ * @param {Object} settings - Room settings
+ * @param {number} settings.longBreakTime - Length of a long break in seconds
+ * @param {number} settings.longBreakEvery - Every Nth break is a long one (no long breaks if missing)
+ * @param {number} settings.totalCycles - Planned number of cycles (no limit if missing)
+ * @param {boolean} settings.autoStart - Start the next study phase by itself when a break ends
+ * @returns {Object} - { longBreakTime, longBreakEvery, totalCycles, autoStart }
+ */
+function resolveCyclePlan(settings = {}) {
+  const longBreakEvery = toPositiveInteger(settings.longBreakEvery);
+  const longBreakTime = toPositiveInteger(settings.longBreakTime);
+
+  return {
+    longBreakTime: longBreakEvery && longBreakTime ? Math.min(longBreakTime, MAX_PHASE_SECONDS) : null,
+    longBreakEvery: longBreakEvery && longBreakTime ? longBreakEvery : null,
+    totalCycles: toPositiveInteger(settings.totalCycles),
+    autoStart: Boolean(settings.autoStart)
+  };
+}
+
+/**
+ * Check whether the break at the end of a cycle is a long one
+ * @param {Object} plan - Result of resolveCyclePlan
+ * @param {number} cycle - Cycle number, starting at 1
+ * @returns {boolean} - True for a long break
+ */
+function isLongBreak(plan, cycle) {
+  return Boolean(plan && plan.longBreakEvery) && cycle % plan.longBreakEvery === 0;
+}
+
+/**
+ * Where a room is in its plan, for timer-update
+ * @param {Object} room - Room with cyclePlan, cycle, onLongBreak and planCompleted
+ * @returns {Object} - { number, total, longBreak, nextLongBreak, autoStart, completed } -
+ *   total and nextLongBreak are null when the plan has no limit or no long breaks
+ */
+function cycleStatus(room) {
+  const plan = room.cyclePlan || resolveCyclePlan();
+  const cycle = room.cycle || 1;
+
+  let nextLongBreakCycle = null;
+  if (plan.longBreakEvery) {
+    nextLongBreakCycle = Math.ceil(cycle / plan.longBreakEvery) * plan.longBreakEvery;
+    if (plan.totalCycles && nextLongBreakCycle > plan.totalCycles) nextLongBreakCycle = null;
+  }
+
+  return {
+    number: cycle,
+    total: plan.totalCycles,
+    longBreak: Boolean(room.onLongBreak),
+    nextLongBreak: nextLongBreakCycle,
+    autoStart: plan.autoStart,
+    completed: Boolean(room.planCompleted)
+  };
+}
+
+module.exports = {
+  MAX_PHASE_SECONDS,
+  cycleStatus,
+  isLongBreak,
+  resolveCyclePlan
+};
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { teamStandings } = require('./teams');
+
+// Breaks kept in a room's history
+const MAX_BREAK_HISTORY = 100;
+
+// Only the most recent breaks keep their per-question results, to keep room files small
+const MAX_REPORTED_BREAKS = 20;
+
+/**
+ * Key players by the client id their browser keeps, so the same person adds up across rooms
+ * and two people with the same name stay apart. The id is hashed since keys are public.
+ * Players without a client id only count under the player id of one room.
+ * @param {Object} participant - Participant with id and clientId
+ * @returns {string} - Leaderboard key
+ */
+function playerKey(participant) {
+  if (participant.clientId) {
+    return crypto.createHash('sha256').update(participant.clientId).digest('hex').substring(0, 24);
+  }
+  return `player-${participant.id}`;
+}
+
+/**
+ * Results of one break, for the room's break history
+ * @param {Object} room - Room whose trivia session just ended
+ * @param {Object} currentBreak - { number, startedAt, questions } recorded while the session ran
+ * @returns {Object} - { breakNumber, startedAt, endedAt, topic, winnerId, scores, teams, questions }
+ */
+function summarizeBreak(room, currentBreak) {
+  const scores = room.participants
+    .map(p => ({ playerId: p.id, playerKey: playerKey(p), username: p.username, score: p.score }))
+    .sort((a, b) => b.score - a.score);
+
+  // Nobody wins a break where nobody scored
+  const winnerId = scores.length > 0 && scores[0].score > 0 ? scores[0].playerId : null;
+
+  return {
+    breakNumber: currentBreak.number,
+    startedAt: currentBreak.startedAt,
+    endedAt: Date.now(),
+    topic: room.triviaCategory,
+    winnerId,
+    scores,
+    teams: room.teamMode ? teamStandings(room.teamMode, room.participants) : null,
+    questions: currentBreak.questions || []
+  };
+}
+
+/**
+ * Add a break to a room's history, dropping the oldest past MAX_BREAK_HISTORY
+ * and the question results of all but the latest MAX_REPORTED_BREAKS
+ * @param {Array} breakHistory - Room break history, modified in place
+ * @param {Object} summary - Result of summarizeBreak
+ */
+function addBreakToHistory(breakHistory, summary) {
+  breakHistory.push(summary);
+  if (breakHistory.length > MAX_BREAK_HISTORY) {
+    breakHistory.splice(0, breakHistory.length - MAX_BREAK_HISTORY);
+  }
+
+  breakHistory.slice(0, -MAX_REPORTED_BREAKS).forEach(entry => {
+    delete entry.questions;
+  });
+}
+
+/**
+ * Running totals for a room across every break in its history
+ * @param {Array} breakHistory - Room break history
+ * @returns {Array} - Array of { rank, playerId, username, totalScore, breaksPlayed, wins }, best first
+ */
+function cumulativeStandings(breakHistory = []) {
+  const totals = new Map();
+
+  breakHistory.forEach(entry => {
+    entry.scores.forEach(({ playerId, username, score }) => {
+      const total = totals.get(playerId) || { playerId, username, totalScore: 0, breaksPlayed: 0, wins: 0 };
+      total.username = username; // Latest name wins if it changed
+      total.totalScore += score;
+      total.breaksPlayed += 1;
+      if (entry.winnerId === playerId) total.wins += 1;
+      totals.set(playerId, total);
+    });
+  });
+
+  return Array.from(totals.values())
+    .sort((a, b) => b.totalScore - a.totalScore || b.wins - a.wins)
+    .map((total, index) => ({ rank: index + 1, ...total }));
+}
+
+/**
+ * In-memory all-time leaderboard - kept for the life of the process only
+ * @returns {Object} - Leaderboard store
+ */
+function createMemoryLeaderboard() {
+  return createLeaderboard('memory', {}, async () => {});
+}
+
+/**
+ * File-backed all-time leaderboard - every player is kept in one JSON file
+ * @param {string} filePath - Path of the leaderboard file
+ * @returns {Object} - Leaderboard store
+ */
+function createFileLeaderboard(filePath) {
+  let players = {};
+  try {
+    players = JSON.parse(fs.readFileSync(filePath, 'utf8')).players || {};
+    console.log(`Loaded all-time leaderboard with ${Object.keys(players).length} players from ${filePath}`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`[leaderboard] Could not read ${filePath}, starting empty:`, error.message);
+    }
+  }
+
+  return createLeaderboard('file', players, async content => {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write to a temp file first so a crash mid-write never leaves a corrupt leaderboard
+    const tempPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, content, 'utf8');
+    await fs.promises.rename(tempPath, filePath);
+  });
+}
+
+function createLeaderboard(name, players, write) {
+  // Writes are chained so they land on disk in order
+  let pendingWrite = Promise.resolve();
+
+  return {
+    name,
+    // Add one break's scores (from summarizeBreak) to every player's all-time totals
+    recordBreak(summary) {
+      summary.scores.forEach(({ playerId, playerKey: key, username, score }) => {
+        const player = players[key] || { playerKey: key, username, totalScore: 0, breaksPlayed: 0, wins: 0, bestBreakScore: 0 };
+        player.username = username; // Kept for display only - the latest name wins
+        player.totalScore += score;
+        player.breaksPlayed += 1;
+        player.bestBreakScore = Math.max(player.bestBreakScore, score);
+        player.lastPlayedAt = summary.endedAt;
+        if (summary.winnerId === playerId) player.wins += 1;
+        players[key] = player;
+      });
+
+      const content = JSON.stringify({ players });
+      pendingWrite = pendingWrite
+        .then(() => write(content))
+        .catch(error => {
+          console.error('[leaderboard] Error saving leaderboard:', error);
+        });
+      return pendingWrite;
+    },
+    // Best players of all time, as { rank, playerKey, username, totalScore, breaksPlayed, wins, bestBreakScore, lastPlayedAt }
+    getTopPlayers(limit = 50) {
+      return Object.values(players)
+        .sort((a, b) => b.totalScore - a.totalScore || b.wins - a.wins)
+        .slice(0, limit)
+        .map((player, index) => ({ rank: index + 1, ...player }));
+    },
+    // All-time totals for one player by leaderboard key, or null if they have never played
+    getPlayer(key) {
+      const player = Object.prototype.hasOwnProperty.call(players, key) ? players[key] : null;
+      return player ? { ...player } : null;
+    },
+    async flush() {
+      await pendingWrite;
+    }
+  };
+}
+
+/**
+ * Create the all-time leaderboard store selected by config
+ * @param {Object} options - Store options
+ * @param {string} options.type - Store type (file, memory), defaults to LEADERBOARD_STORE, then ROOM_STORE, then 'file'
+ * @param {string} options.file - Leaderboard file for the file store, defaults to LEADERBOARD_FILE
+ * @returns {Object} - Leaderboard with recordBreak, getTopPlayers, getPlayer and flush
+ */
+function createLeaderboardStore(options = {}) {
+  const type = options.type || process.env.LEADERBOARD_STORE || process.env.ROOM_STORE || 'file';
+
+  if (type === 'memory') {
+    return createMemoryLeaderboard();
+  }
+
+  if (type === 'file') {
+    const file = options.file || process.env.LEADERBOARD_FILE || path.join(__dirname, 'storage', 'leaderboard.json');
+    return createFileLeaderboard(file);
+  }
+
+  throw new Error(`Unknown leaderboard store type: ${type}`);
+}
+
+module.exports = {
+  addBreakToHistory,
+  createLeaderboardStore,
+  cumulativeStandings,
+  playerKey,
+  summarizeBreak
+};
@@ -0,0 +1,167 @@
+// Largest piece of notes sent to the model in one request
+const MAX_CHUNK_CHARS = parseInt(process.env.NOTES_CHUNK_CHARS, 10) || 6000;
+
+// Chunks smaller than this are merged into the previous one
+const MIN_CHUNK_CHARS = 200;
+
+const MAX_HEADING_LENGTH = 100;
+
+/**
+ * Check whether a line looks like a section heading
+ * @param {string} line - Trimmed line of text
+ * @returns {string|null} - Heading text, or null if the line isn't a heading
+ */
+function parseHeading(line) {
+  if (!line || line.length > MAX_HEADING_LENGTH) return null;
+
+  // Markdown headings, which the notes parser also produces for HTML and DOCX
+  const markdown = line.match(/^#{1,6}\s+(.+)$/);
+  if (markdown) return markdown[1].trim();
+
+  // Numbered headings like "2.1 Cell Structure" - but not sentences that start with a number
+  const numbered = line.match(/^(\d+(\.\d+)*\.?)\s+([A-Z][^.!?]*)$/);
+  if (numbered && numbered[3].split(' ').length <= 10) return line;
+
+  // Short all-caps lines like "CHAPTER 3: GENETICS"
+  if (/[A-Z]/.test(line) && line === line.toUpperCase() && /^[A-Z0-9][A-Z0-9 :,&()'-]{3,}$/.test(line)) {
+    return line;
+  }
+
+  return null;
+}
+
+/**
+ * Split notes into sections at their headings
+ * @param {string} text - Study notes content
+ * @returns {Array} - Array of { id, heading, start, end } with offsets into text
+ */
+function splitIntoSections(text) {
+  const headings = [];
+  let offset = 0;
+
+  text.split('\n').forEach(line => {
+    const heading = parseHeading(line.trim());
+    if (heading) {
+      headings.push({ heading, start: offset });
+    }
+    offset += line.length + 1;
+  });
+
+  const sections = [];
+
+  // Anything before the first heading becomes its own section
+  const firstStart = headings.length > 0 ? headings[0].start : text.length;
+  if (text.substring(0, firstStart).trim()) {
+    sections.push({ heading: headings.length > 0 ? 'Introduction' : 'Notes', start: 0, end: firstStart });
+  }
+
+  headings.forEach((entry, index) => {
+    const end = index + 1 < headings.length ? headings[index + 1].start : text.length;
+    sections.push({ heading: entry.heading, start: entry.start, end });
+  });
+
+  // Drop headings with nothing under them
+  return sections
+    .filter(section => text.substring(section.start, section.end).replace(section.heading, '').trim().length > 0)
+    .map((section, index) => ({ id: `s${index + 1}`, ...section }));
+}
+
+/**
+ * Find where to end a chunk - at a paragraph break if possible, else a sentence end
+ * @param {string} text - Study notes content
+ * @param {number} start - Chunk start offset
+ * @param {number} limit - Furthest allowed end offset
+ * @returns {number} - End offset
+ */
+function findChunkEnd(text, start, limit) {
+  const window = text.substring(start, limit);
+  const minimum = Math.floor(window.length / 2);
+
+  const paragraphBreak = window.lastIndexOf('\n\n');
+  if (paragraphBreak >= minimum) return start + paragraphBreak + 2;
+
+  const sentenceEnd = Math.max(window.lastIndexOf('. '), window.lastIndexOf('.\n'), window.lastIndexOf('? '), window.lastIndexOf('! '));
+  if (sentenceEnd >= minimum) return start + sentenceEnd + 2;
+
+  return limit;
+}
+
+/**
+ * Index notes into sections and model-sized chunks
+ * @param {string} text - Study notes content
+ * @returns {Object} - { sections, chunks } - offsets only, the text stays in studyNotesContent
+ */
+function buildNotesIndex(text) {
+  const sections = splitIntoSections(text || '');
+  const chunks = [];
+
+  sections.forEach(section => {
+    const sectionChunks = [];
+    let start = section.start;
+
+    while (start < section.end) {
+      const limit = Math.min(section.end, start + MAX_CHUNK_CHARS);
+      const end = limit === section.end ? limit : findChunkEnd(text, start, limit);
+      sectionChunks.push({ start, end });
+      start = end;
+    }
+
+    // Fold a tiny trailing chunk into the one before it
+    if (sectionChunks.length > 1 && sectionChunks[sectionChunks.length - 1].end - sectionChunks[sectionChunks.length - 1].start < MIN_CHUNK_CHARS) {
+      const last = sectionChunks.pop();
+      sectionChunks[sectionChunks.length - 1].end = last.end;
+    }
+
+    sectionChunks.forEach((chunk, index) => {
+      chunks.push({
+        id: `${section.id}-c${index + 1}`,
+        sectionId: section.id,
+        heading: section.heading,
+        start: chunk.start,
+        end: chunk.end
+      });
+    });
+    section.chunkCount = sectionChunks.length;
+  });
+
+  return { sections, chunks };
+}
+
+/**
+ * Pick the next chunk in rotation, limited to the selected sections
+ * @param {Object} notesIndex - Result of buildNotesIndex
+ * @param {Array} selectedSectionIds - Section ids to use, empty for all sections
+ * @param {number} cursor - Rotation position from the previous call
+ * @returns {Object} - { chunk, cursor } - chunk is null when nothing is available
+ */
+function pickNextChunk(notesIndex, selectedSectionIds, cursor = 0) {
+  const selected = selectedSectionIds && selectedSectionIds.length > 0 ? new Set(selectedSectionIds) : null;
+  const available = notesIndex.chunks.filter(chunk => !selected || selected.has(chunk.sectionId));
+
+  if (available.length === 0) {
+    return { chunk: null, cursor };
+  }
+
+  const position = cursor % available.length;
+  return { chunk: available[position], cursor: position + 1 };
+}
+
+/**
+ * Section list for clients
+ * @param {Object} notesIndex - Result of buildNotesIndex
+ * @returns {Array} - Array of { id, heading, characters, chunkCount }
+ */
+function summarizeSections(notesIndex) {
+  return notesIndex.sections.map(section => ({
+    id: section.id,
+    heading: section.heading,
+    characters: section.end - section.start,
+    chunkCount: section.chunkCount
+  }));
+}
+
+module.exports = {
+  buildNotesIndex,
+  pickNextChunk,
+  summarizeSections
+};
@@ -0,0 +1,93 @@
+// Excerpts shorter than this are too vague to count as a citation
+const MIN_EXCERPT_LENGTH = 20;
+
+const MAX_EXCERPT_LENGTH = 600;
+
+/**
+ * Normalize text for matching, keeping a map back to the original offsets
+ * @param {string} text - Text to normalize
+ * @returns {Object} - { normalized, offsets } - offsets[i] is the original index of normalized[i]
+ */
+function normalizeWithOffsets(text) {
+  let normalized = '';
+  const offsets = [];
+  let previousSpace = true;
+
+  for (let i = 0; i < text.length; i++) {
+    let char = text[i];
+
+    // Models often swap curly quotes and dashes for straight ones
+    if (/[‘’‛]/.test(char)) char = "'";
+    else if (/[“”]/.test(char)) char = '"';
+    else if (/[–—]/.test(char)) char = '-';
+
+    if (/\s/.test(char)) {
+      if (previousSpace) continue;
+      char = ' ';
+      previousSpace = true;
+    } else {
+      previousSpace = false;
+    }
+
+    normalized += char.toLowerCase();
+    offsets.push(i);
+  }
+
+  return { normalized: normalized.trimEnd(), offsets };
+}
+
+function findExcerpt(notes, normalizedNotes, excerpt) {
+  const { normalized } = normalizeWithOffsets(excerpt.trim().replace(/^["']|["']$/g, ''));
+  if (normalized.length < MIN_EXCERPT_LENGTH) return null;
+
+  const index = normalizedNotes.normalized.indexOf(normalized);
+  if (index === -1) return null;
+
+  const start = normalizedNotes.offsets[index];
+  const end = normalizedNotes.offsets[index + normalized.length - 1] + 1;
+  return { offset: start, excerpt: notes.substring(start, end) };
+}
+
+/**
+ * Create a function that finds question excerpts in the study notes.
+ * Only the range the questions were generated from is searched, and it is normalized
+ * once so a whole batch can be checked cheaply even for very long notes.
+ * @param {string} notes - Full study notes content
+ * @param {Array} sections - Notes sections from buildNotesIndex
+ * @param {Object} range - { start, end } offsets of the text the questions came from, defaults to all of it
+ * @returns {Function} - (excerpt) => { excerpt, offset, sectionId, section }, or null if it isn't in the notes
+ */
+function createCitationLocator(notes, sections = [], range = null) {
+  const start = range ? range.start : 0;
+  const normalizedNotes = normalizeWithOffsets((notes || '').substring(start, range ? range.end : undefined));
+  normalizedNotes.offsets = normalizedNotes.offsets.map(offset => offset + start);
+
+  return function locateCitation(excerpt) {
+    if (!notes || typeof excerpt !== 'string') return null;
+
+    let match = findExcerpt(notes, normalizedNotes, excerpt.substring(0, MAX_EXCERPT_LENGTH));
+
+    // A quote stitched from several sentences may still contain one exact sentence
+    if (!match) {
+      const sentences = excerpt.split(/(?<=[.!?])\s+/).sort((a, b) => b.length - a.length);
+      for (const sentence of sentences) {
+        match = findExcerpt(notes, normalizedNotes, sentence);
+        if (match) break;
+      }
+    }
+
+    if (!match) return null;
+
+    const section = sections.find(entry => match.offset >= entry.start && match.offset < entry.end);
+    return {
+      excerpt: match.excerpt,
+      offset: match.offset,
+      sectionId: section ? section.id : null,
+      section: section ? section.heading : null
+    };
+  };
+}
+
+module.exports = {
+  createCitationLocator
+};
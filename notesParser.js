@@ -0,0 +1,243 @@
+const path = require('path');
+const chardet = require('chardet');
+const iconv = require('iconv-lite');
+const mammoth = require('mammoth');
+// Required from lib directly - the package index runs a debug harness when loaded as the main module
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+
+const PREVIEW_LENGTH = 500;
+const MIN_TEXT_LENGTH = 10;
+
+// PDFs with less text than this per page are most likely scanned images
+const MIN_PDF_CHARS_PER_PAGE = 20;
+
+const EXTENSION_FORMATS = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.html': 'html',
+  '.htm': 'html',
+  '.txt': 'text',
+  '.text': 'text'
+};
+
+const MIME_FORMATS = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'text/markdown': 'markdown',
+  'text/x-markdown': 'markdown',
+  'text/html': 'html',
+  'text/plain': 'text'
+};
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '-',
+  mdash: '-',
+  hellip: '...',
+  rsquo: "'",
+  lsquo: "'",
+  rdquo: '"',
+  ldquo: '"'
+};
+
+function notesError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Work out the notes format from the file name, MIME type and leading bytes
+ * @param {Object} file - Uploaded file from express-fileupload
+ * @returns {string|null} - Format name, or null if unsupported
+ */
+function detectFormat(file) {
+  const extension = path.extname(file.name || '').toLowerCase();
+  if (EXTENSION_FORMATS[extension]) {
+    return EXTENSION_FORMATS[extension];
+  }
+
+  const mimeType = (file.mimetype || '').split(';')[0].trim().toLowerCase();
+  if (MIME_FORMATS[mimeType]) {
+    return MIME_FORMATS[mimeType];
+  }
+
+  // No useful name or type - sniff the content
+  if (file.data.subarray(0, 5).toString('latin1') === '%PDF-') {
+    return 'pdf';
+  }
+  if (!extension && !mimeType.startsWith('image/') && !file.data.includes(0)) {
+    return 'text';
+  }
+
+  return null;
+}
+
+/**
+ * Decode a text file, detecting its encoding
+ * @param {Buffer} data - Raw file bytes
+ * @returns {Object} - { text, encoding }
+ */
+function decodeText(data) {
+  if (data[0] === 0xEF && data[1] === 0xBB && data[2] === 0xBF) {
+    return { text: data.subarray(3).toString('utf8'), encoding: 'UTF-8' };
+  }
+  if (data[0] === 0xFF && data[1] === 0xFE) {
+    return { text: iconv.decode(data.subarray(2), 'utf16le'), encoding: 'UTF-16LE' };
+  }
+  if (data[0] === 0xFE && data[1] === 0xFF) {
+    return { text: iconv.decode(data.subarray(2), 'utf16be'), encoding: 'UTF-16BE' };
+  }
+
+  // Valid UTF-8 is by far the most common case, and detectors often misjudge short files
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(data), encoding: 'UTF-8' };
+  } catch (error) {
+    // Not UTF-8, fall through to detection
+  }
+
+  const detected = chardet.detect(data);
+  const encoding = detected && iconv.encodingExists(detected) ? detected : 'windows-1252';
+  return { text: iconv.decode(data, encoding), encoding };
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] || match;
+  });
+}
+
+/**
+ * Convert HTML to plain text, keeping headings as Markdown-style '#' lines
+ * @param {string} html - HTML content
+ * @returns {string} - Plain text
+ */
+function htmlToText(html) {
+  const text = html
+    .replace(/<(script|style|head|noscript)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, content) => `\n\n${'#'.repeat(Number(level))} ${content.replace(/<[^>]+>/g, '').trim()}\n\n`)
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|section|article|li|ul|ol|table|tr|blockquote|pre)>/gi, '\n\n')
+    .replace(/<\/(td|th)>/gi, ' ')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text);
+}
+
+/**
+ * Strip Markdown syntax that adds noise, keeping headings and list structure
+ * @param {string} markdown - Markdown content
+ * @returns {string} - Plain text
+ */
+function markdownToText(markdown) {
+  return markdown
+    .replace(/^---\n[\s\S]*?\n---\n/, '') // front matter
+    .replace(/```[^\n]*\n([\s\S]*?)```/g, '$1') // code fences
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1') // images
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1') // links
+    .replace(/(\*\*|__)(.*?)\1/g, '$2') // bold
+    .replace(/(^|[^*])\*([^*\n]+)\*/g, '$1$2') // italics
+    .replace(/`([^`]+)`/g, '$1') // inline code
+    .replace(/^>\s?/gm, '') // block quotes
+    .replace(/^\s*[*+]\s+/gm, '- ');
+}
+
+function cleanText(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/\u0000/g, '')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+async function extractPdfText(data) {
+  let parsed;
+  try {
+    parsed = await pdfParse(data);
+  } catch (error) {
+    throw notesError(`Could not read the PDF: ${error.message}`, 422);
+  }
+
+  const text = parsed.text || '';
+  const pages = parsed.numpages || 1;
+  if (text.replace(/\s/g, '').length < pages * MIN_PDF_CHARS_PER_PAGE) {
+    throw notesError('The PDF has no extractable text - it looks like scanned images. Please upload a text-based PDF.', 422);
+  }
+
+  return text;
+}
+
+async function extractDocxText(data) {
+  try {
+    const result = await mammoth.convertToHtml({ buffer: data });
+    return htmlToText(result.value);
+  } catch (error) {
+    throw notesError(`Could not read the Word document: ${error.message}`, 422);
+  }
+}
+
+/**
+ * Extract plain text from uploaded study notes
+ * @param {Object} file - Uploaded file from express-fileupload ({ name, mimetype, data })
+ * @returns {Object} - { text, format, encoding, preview }
+ */
+async function extractNotesText(file) {
+  if (!file || !file.data || file.data.length === 0) {
+    throw notesError('The uploaded file is empty', 422);
+  }
+
+  const format = detectFormat(file);
+  if (!format) {
+    throw notesError('Unsupported file type. Upload notes as PDF, DOCX, Markdown, HTML or plain text.', 415);
+  }
+
+  let text;
+  let encoding = null;
+
+  if (format === 'pdf') {
+    text = await extractPdfText(file.data);
+  } else if (format === 'docx') {
+    text = await extractDocxText(file.data);
+  } else {
+    const decoded = decodeText(file.data);
+    encoding = decoded.encoding;
+
+    if (format === 'html') {
+      text = htmlToText(decoded.text);
+    } else if (format === 'markdown') {
+      text = markdownToText(decoded.text);
+    } else {
+      text = decoded.text;
+    }
+  }
+
+  text = cleanText(text);
+  if (text.length < MIN_TEXT_LENGTH) {
+    throw notesError('No readable text was found in the file', 422);
+  }
+
+  return {
+    text,
+    format,
+    encoding,
+    preview: text.substring(0, PREVIEW_LENGTH)
+  };
+}
+
+module.exports = {
+  extractNotesText
+};
@@ -0,0 +1,193 @@
+const { createRandom, hashString, shuffle } = require('./seededRandom');
+const { sampleQuestions } = require('./questionBank');
+const { normalizeText, parseNumber } = require('./questionValidation');
+
+// Question types the notes generator can build from a single sentence
+const NOTES_QUESTION_TYPES = ['multiple-choice', 'true-false', 'short-answer', 'numeric'];
+
+// Words that make poor blanks in notes-based questions
+const STOP_WORDS = new Set([
+  'about', 'after', 'again', 'also', 'always', 'among', 'another', 'because', 'been', 'before',
+  'being', 'between', 'both', 'could', 'does', 'during', 'each', 'either', 'every', 'first',
+  'from', 'have', 'having', 'however', 'into', 'itself', 'just', 'many', 'more', 'most', 'much',
+  'must', 'never', 'often', 'only', 'other', 'over', 'same', 'should', 'since', 'some', 'such',
+  'than', 'that', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'through',
+  'under', 'until', 'very', 'were', 'what', 'when', 'where', 'which', 'while', 'with', 'within',
+  'without', 'would', 'your'
+]);
+
+// Batch counters per topic so repeated batches differ while every run stays reproducible
+const batchCounters = new Map();
+
+function nextBatchNumber(key) {
+  const batchNumber = batchCounters.get(key) || 0;
+  batchCounters.set(key, batchNumber + 1);
+  return batchNumber;
+}
+
+/**
+ * Pick questions from the local question bank for a topic
+ * @param {string} topic - Topic to match against pack categories and tags
+ * @param {number} count - Number of questions to pick
+ * @param {string} difficulty - Difficulty level (easy, medium, hard)
+ * @param {Array} excludeQuestions - Question texts that were already asked
+ * @param {Array} questionTypes - Question types the room allows
+ * @returns {Array} - Array of raw question objects
+ */
+function generateFromQuestionBank(topic, count, difficulty, excludeQuestions = [], questionTypes = null) {
+  const topicKey = String(topic || '').toLowerCase();
+  const random = createRandom(hashString(`${topicKey}|${difficulty}|${nextBatchNumber(`bank|${topicKey}|${difficulty}`)}`));
+  const excluded = new Set(excludeQuestions.map(normalizeText));
+
+  return sampleQuestions({ topic: topicKey, difficulty, count: count + excluded.size, random, types: questionTypes })
+    .filter(question => !excluded.has(normalizeText(question.text)))
+    .slice(0, count)
+    .map(({ id, timeLimit, ...question }) => question);
+}
+
+function splitSentences(text) {
+  return text
+    .replace(/\s+/g, ' ')
+    .split(/(?<=[.!?])\s+/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length >= 40 && sentence.length <= 300);
+}
+
+function keyTerms(sentence) {
+  return (sentence.match(/[A-Za-z][A-Za-z-]{4,}/g) || [])
+    .filter(word => !STOP_WORDS.has(word.toLowerCase()));
+}
+
+function explainFromNotes(sentence) {
+  return `Your notes say: "${sentence}"`;
+}
+
+/**
+ * Build one question of the given type from a sentence of the notes
+ * @param {string} sentence - Sentence to ask about
+ * @param {string} type - Question type
+ * @param {Array} allTerms - Key terms from the whole notes, used as distractors
+ * @param {Function} random - Seeded random source
+ * @returns {Object|null} - Raw question object, or null if the sentence doesn't suit the type
+ */
+function buildNotesQuestion(sentence, type, allTerms, random) {
+  if (type === 'numeric') {
+    const number = sentence.match(/\b\d[\d,]*(\.\d+)?\b/);
+    if (!number) return null;
+
+    return {
+      type,
+      text: `Fill in the number from your notes: "${sentence.replace(number[0], '_____')}"`,
+      answer: parseNumber(number[0]),
+      source: sentence,
+      explanation: explainFromNotes(sentence)
+    };
+  }
+
+  const terms = keyTerms(sentence);
+  if (terms.length === 0) return null;
+
+  // Longer words tend to be the subject-specific ones worth asking about
+  const answer = [...terms].sort((a, b) => b.length - a.length)[Math.floor(random() * Math.min(2, terms.length))];
+  const distractors = shuffle(allTerms.filter(term => term.toLowerCase() !== answer.toLowerCase()), random)
+    .sort((a, b) => Math.abs(a.length - answer.length) - Math.abs(b.length - answer.length))
+    .slice(0, 3);
+
+  if (distractors.length < 3) return null;
+
+  const answerPattern = new RegExp(`\\b${answer}\\b`);
+  const blanked = sentence.replace(answerPattern, '_____');
+
+  if (type === 'short-answer') {
+    return {
+      type,
+      text: `Fill in the blank from your notes: "${blanked}"`,
+      answer,
+      source: sentence,
+      explanation: explainFromNotes(sentence)
+    };
+  }
+
+  if (type === 'true-false') {
+    // Half the statements get a key term swapped for another term from the notes
+    const isTrue = random() < 0.5;
+    return {
+      type,
+      text: `True or false, according to your notes: "${isTrue ? sentence : sentence.replace(answerPattern, distractors[0])}"`,
+      answer: isTrue,
+      source: sentence,
+      explanation: explainFromNotes(sentence)
+    };
+  }
+
+  const options = shuffle([answer, ...distractors], random);
+  return {
+    type: 'multiple-choice',
+    text: `Fill in the blank from your notes: "${blanked}"`,
+    options,
+    correctIndex: options.indexOf(answer),
+    source: sentence,
+    explanation: explainFromNotes(sentence)
+  };
+}
+
+/**
+ * Build fill-in-the-blank style questions from study notes text
+ * @param {string} notes - Study notes content
+ * @param {number} count - Number of questions to build
+ * @param {Array} questionTypes - Question types the room allows
+ * @returns {Array} - Array of raw question objects
+ */
+function generateFromNotes(notes, count, questionTypes = ['multiple-choice']) {
+  const sentences = splitSentences(String(notes || ''));
+  const allTerms = Array.from(new Set(sentences.flatMap(keyTerms)));
+  const types = NOTES_QUESTION_TYPES.filter(type => questionTypes.includes(type));
+
+  // Need at least four distinct terms to make a question with three distractors
+  if (sentences.length === 0 || allTerms.length < 4 || types.length === 0) {
+    return [];
+  }
+
+  const random = createRandom(hashString(`notes|${notes.length}|${nextBatchNumber(`notes|${hashString(notes)}`)}`));
+  const questions = [];
+
+  for (const sentence of shuffle(sentences, random)) {
+    if (questions.length >= count) break;
+
+    // Rotate through the allowed types; a sentence that doesn't suit the next type is skipped
+    const question = buildNotesQuestion(sentence, types[questions.length % types.length], allTerms, random);
+    if (question) {
+      questions.push(question);
+    }
+  }
+
+  return questions;
+}
+
+/**
+ * Deterministic offline provider - needs no network access
+ * @returns {Object} - Question provider
+ */
+function createOfflineProvider() {
+  return {
+    name: 'offline',
+    model: 'local-question-bank',
+    async generateQuestions({ topic, count, difficulty, useNotes, excludeQuestions = [], questionTypes = ['multiple-choice'] }) {
+      // Notes questions must cite the notes, so bank questions would only be dropped - a
+      // short batch is topped up by generateTriviaQuestions once the notes run out
+      if (useNotes) {
+        return generateFromNotes(topic, count, questionTypes);
+      }
+
+      return generateFromQuestionBank(topic, count, difficulty, excludeQuestions, questionTypes);
+    },
+    async explainAnswer({ source }) {
+      // Without a model, only notes-based questions can be explained
+      return source ? explainFromNotes(source) : null;
+    }
+  };
+}
+
+module.exports = {
+  createOfflineProvider
+};
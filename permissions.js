@@ -0,0 +1,82 @@
+const ROLES = ['host', 'co-host', 'player', 'spectator'];
+
+// Who picks the topic for each break: only hosts, any player, or a vote among players
+const TOPIC_SELECTION_MODES = ['hosts', 'players', 'vote'];
+
+const HOSTS = ['host', 'co-host'];
+
+/**
+ * Roles allowed to send each control event. select-topic is also open to players
+ * when the room lets players pick topics - see canPerform.
+ */
+const PERMISSIONS = {
+  'start-timer': HOSTS,
+  'pause-timer': HOSTS,
+  'skip-timer': HOSTS,
+  'set-cycle-plan': HOSTS,
+  'select-topic': HOSTS,
+  'vote-topic': ['host', 'co-host', 'player'],
+  'select-note-sections': HOSTS,
+  'upload-notes': HOSTS,
+  'set-question-types': HOSTS,
+  'set-team-mode': HOSTS,
+  'assign-team': HOSTS,
+  'balance-teams': HOSTS,
+  'kick-participant': HOSTS,
+  'ban-participant': ['host'],
+  'set-room-access': ['host'],
+  'set-room-listing': ['host'],
+  'transfer-host': ['host'],
+  'set-role': ['host'],
+  'set-topic-selection': ['host']
+};
+
+/**
+ * Role of a room member
+ * @param {Object} room - Room the member is in
+ * @param {string} playerId - Participant or spectator id
+ * @returns {string|null} - One of ROLES, or null if they aren't in the room
+ */
+function roleOf(room, playerId) {
+  if (playerId === room.host) return 'host';
+
+  const participant = room.participants.find(p => p.id === playerId);
+  if (participant) return participant.role === 'co-host' ? 'co-host' : 'player';
+
+  return (room.spectators || []).some(s => s.id === playerId) ? 'spectator' : null;
+}
+
+/**
+ * Check whether a role may send a control event in a room
+ * @param {Object} room - Room the event is for
+ * @param {string} role - Sender's role from roleOf
+ * @param {string} action - Event name, a key of PERMISSIONS
+ * @returns {boolean} - True if the role is allowed
+ */
+function canPerform(room, role, action) {
+  if (!role) return false;
+
+  if (action === 'select-topic' && role === 'player' && room.topicSelection === 'players') {
+    return true;
+  }
+
+  return (PERMISSIONS[action] || []).includes(role);
+}
+
+/**
+ * Work out how a room picks topics from its settings
+ * @param {string} mode - hosts, players or vote
+ * @returns {string} - One of TOPIC_SELECTION_MODES, hosts by default
+ */
+function resolveTopicSelection(mode) {
+  return TOPIC_SELECTION_MODES.includes(mode) ? mode : 'hosts';
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  TOPIC_SELECTION_MODES,
+  canPerform,
+  resolveTopicSelection,
+  roleOf
+};
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Hash a session token so the raw token never has to be stored with the room
+ * @param {string} sessionToken - Token issued to the client
+ * @returns {string} - Hex encoded SHA-256 hash
+ */
+function hashSessionToken(sessionToken) {
+  return crypto.createHash('sha256').update(String(sessionToken)).digest('hex');
+}
+
+/**
+ * Issue a new player identity with its session token
+ * @returns {Object} - { playerId, sessionToken, sessionTokenHash }
+ */
+function issueSession() {
+  const sessionToken = crypto.randomBytes(24).toString('hex');
+
+  return {
+    playerId: uuidv4(),
+    sessionToken,
+    sessionTokenHash: hashSessionToken(sessionToken)
+  };
+}
+
+/**
+ * Check whether a session token belongs to a participant
+ * @param {Object} participant - Participant record with a sessionTokenHash
+ * @param {string} sessionToken - Token presented by the client
+ * @returns {boolean} - True if the token matches
+ */
+function matchesSession(participant, sessionToken) {
+  if (!participant || !participant.sessionTokenHash || typeof sessionToken !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(participant.sessionTokenHash, 'hex');
+  const actual = Buffer.from(hashSessionToken(sessionToken), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  hashSessionToken,
+  issueSession,
+  matchesSession
+};
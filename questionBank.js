@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { shuffle } = require('./seededRandom');
+const { validateQuestion } = require('./questionValidation');
+
+const QUESTION_PACKS_DIR = process.env.QUESTION_PACKS_DIR || path.join(__dirname, 'question-packs');
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const PACK_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+// Packs keyed by id, loaded from disk on first use
+let packs = null;
+
+function bankError(message, status, details) {
+  const error = new Error(message);
+  error.status = status;
+  if (details) error.details = details;
+  return error;
+}
+
+/**
+ * Load every question pack in the packs directory
+ * @returns {Map} - Packs keyed by id
+ */
+function loadQuestionPacks() {
+  if (packs) return packs;
+
+  packs = new Map();
+  try {
+    fs.readdirSync(QUESTION_PACKS_DIR)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .forEach(file => {
+        try {
+          const pack = JSON.parse(fs.readFileSync(path.join(QUESTION_PACKS_DIR, file), 'utf8'));
+          packs.set(pack.id || path.basename(file, '.json'), pack);
+        } catch (error) {
+          console.error(`Skipping unreadable question pack ${file}:`, error.message);
+        }
+      });
+    console.log(`Loaded ${packs.size} question packs from ${QUESTION_PACKS_DIR}`);
+  } catch (error) {
+    console.error(`Could not read question packs from ${QUESTION_PACKS_DIR}:`, error.message);
+  }
+
+  return packs;
+}
+
+/**
+ * Summaries of every loaded pack
+ * @returns {Array} - Array of { id, name, category, tags, questionCount, difficulties }
+ */
+function listPacks() {
+  return Array.from(loadQuestionPacks().values()).map(pack => {
+    const difficulties = { easy: 0, medium: 0, hard: 0 };
+    (pack.questions || []).forEach(question => {
+      difficulties[question.difficulty] = (difficulties[question.difficulty] || 0) + 1;
+    });
+
+    return {
+      id: pack.id,
+      name: pack.name,
+      category: pack.category,
+      tags: pack.tags || [],
+      questionCount: (pack.questions || []).length,
+      difficulties
+    };
+  });
+}
+
+/**
+ * Check a token against the question bank admin token. Without a configured admin token
+ * nobody may add packs, since they are written to disk and feed every room's fallback questions.
+ * @param {string} token - Token sent by the caller
+ * @param {string} adminToken - Configured token, QUESTION_BANK_ADMIN_TOKEN by default
+ * @returns {boolean} - True if the token matches
+ */
+function matchesAdminToken(token, adminToken = process.env.QUESTION_BANK_ADMIN_TOKEN) {
+  if (!adminToken || typeof token !== 'string') return false;
+
+  // Compare digests so the lengths always match and the comparison takes constant time
+  const expected = crypto.createHash('sha256').update(adminToken).digest();
+  const actual = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Validate a new pack and save it to the packs directory - callers check matchesAdminToken first
+ * @param {Object} pack - Pack with id, name, category, tags and questions
+ * @returns {Object} - Summary of the saved pack
+ */
+async function addPack(pack) {
+  if (!pack || typeof pack !== 'object') {
+    throw bankError('Pack must be a JSON object', 400);
+  }
+
+  const { id, name, category, tags = [], questions } = pack;
+
+  if (typeof id !== 'string' || !PACK_ID_PATTERN.test(id)) {
+    throw bankError('Pack id must be lowercase letters, numbers and dashes', 400);
+  }
+  if (typeof name !== 'string' || !name.trim()) {
+    throw bankError('Pack name is required', 400);
+  }
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    throw bankError('Pack tags must be an array of strings', 400);
+  }
+  if (!Array.isArray(questions) || questions.length === 0) {
+    throw bankError('Pack must contain at least one question', 400);
+  }
+  if (loadQuestionPacks().has(id)) {
+    throw bankError(`A pack with id '${id}' already exists`, 409);
+  }
+
+  const problems = [];
+  const cleanQuestions = [];
+  questions.forEach((raw, index) => {
+    const { question, reason } = validateQuestion(raw);
+    const difficulty = raw && raw.difficulty ? raw.difficulty : 'medium';
+
+    if (!question) {
+      problems.push({ index, reason });
+    } else if (!DIFFICULTIES.includes(difficulty)) {
+      problems.push({ index, reason: `unknown difficulty '${difficulty}'` });
+    } else {
+      cleanQuestions.push({ ...question, difficulty });
+    }
+  });
+
+  if (problems.length > 0) {
+    throw bankError('Some questions in the pack are invalid', 400, problems);
+  }
+
+  const savedPack = {
+    id,
+    name: name.trim(),
+    category: typeof category === 'string' && category.trim() ? category.trim() : name.trim(),
+    tags: tags.map(tag => tag.trim()).filter(Boolean),
+    questions: cleanQuestions
+  };
+
+  await fs.promises.mkdir(QUESTION_PACKS_DIR, { recursive: true });
+  await fs.promises.writeFile(path.join(QUESTION_PACKS_DIR, `${id}.json`), JSON.stringify(savedPack, null, 2), 'utf8');
+  packs.set(id, savedPack);
+
+  console.log(`Added question pack ${id} with ${cleanQuestions.length} questions`);
+  return listPacks().find(summary => summary.id === id);
+}
+
+// Fields a sampled question carries - the answer fields depend on its type
+const QUESTION_FIELDS = ['type', 'text', 'options', 'correctIndex', 'correctIndices', 'answer', 'acceptedAnswers', 'unit', 'difficulty', 'explanation'];
+
+function copyQuestionFields(question) {
+  const copy = { type: 'multiple-choice' };
+  QUESTION_FIELDS.forEach(field => {
+    if (question[field] !== undefined) {
+      copy[field] = Array.isArray(question[field]) ? [...question[field]] : question[field];
+    }
+  });
+  return copy;
+}
+
+function packMatchesTopic(pack, topicKey) {
+  return [pack.category, pack.name, ...(pack.tags || [])]
+    .filter(Boolean)
+    .some(label => topicKey.includes(label.toLowerCase()) || label.toLowerCase().includes(topicKey));
+}
+
+/**
+ * Randomly sample questions from the bank
+ * @param {Object} options - Sampling options
+ * @param {string} options.topic - Topic matched against pack categories, names and tags
+ * @param {string} options.difficulty - Preferred difficulty, other difficulties top up the batch
+ * @param {number} options.count - Number of questions to return
+ * @param {Function} options.random - Random source, defaults to Math.random
+ * @param {Array} options.types - Preferred question types, other types only fill a short batch
+ * @returns {Array} - Array of question objects with fresh ids, marked fromBank
+ */
+function sampleQuestions({ topic = '', difficulty = 'medium', count = 5, random = Math.random, types = null } = {}) {
+  const allPacks = Array.from(loadQuestionPacks().values());
+  const topicKey = String(topic || '').toLowerCase().trim();
+
+  // Fall back to every pack when nothing matches the topic
+  const matchingPacks = topicKey ? allPacks.filter(pack => packMatchesTopic(pack, topicKey)) : [];
+  const sourcePacks = matchingPacks.length > 0 ? matchingPacks : allPacks;
+  const candidates = sourcePacks.flatMap(pack => pack.questions || []);
+  const remaining = allPacks
+    .filter(pack => !sourcePacks.includes(pack))
+    .flatMap(pack => pack.questions || []);
+
+  // Topic and difficulty matches first, then the rest of the topic, then anything else
+  let ordered = [
+    ...shuffle(candidates.filter(q => q.difficulty === difficulty), random),
+    ...shuffle(candidates.filter(q => q.difficulty !== difficulty), random),
+    ...shuffle(remaining, random)
+  ];
+
+  // The room's question types matter more than the topic order
+  if (types) {
+    const isPreferred = question => types.includes(question.type || 'multiple-choice');
+    ordered = [...ordered.filter(isPreferred), ...ordered.filter(question => !isPreferred(question))];
+  }
+
+  return ordered.slice(0, count).map(question => ({
+    id: uuidv4(),
+    ...copyQuestionFields(question),
+    fromBank: true,
+    timeLimit: 10
+  }));
+}
+
+module.exports = {
+  addPack,
+  listPacks,
+  loadQuestionPacks,
+  matchesAdminToken,
+  sampleQuestions
+};
@@ -0,0 +1,124 @@
+const { normalizeText } = require('./questionValidation');
+const { correctAnswerText } = require('./questionTypes');
+
+// How many asked questions each room remembers
+const MAX_HISTORY = 300;
+
+// Token overlap above which two question stems count as the same question
+const DUPLICATE_SIMILARITY = 0.8;
+
+// Lower overlap is still a duplicate when both questions have the same answer
+const SAME_ANSWER_SIMILARITY = 0.6;
+
+const FILLER_WORDS = new Set([
+  'a', 'an', 'the', 'of', 'in', 'on', 'at', 'to', 'for', 'by', 'is', 'are', 'was', 'were',
+  'what', 'which', 'who', 'whom', 'whose', 'when', 'where', 'how', 'does', 'do', 'did',
+  'name', 'called', 'known', 'as', 'and', 'or', 'this', 'that', 'these', 'those'
+]);
+
+/**
+ * Fingerprint a question by its normalized stem and correct answer
+ * @param {Object} question - Question of any type
+ * @returns {Object} - { key, tokens, answer, text }
+ */
+function fingerprintQuestion(question) {
+  const tokens = Array.from(new Set(
+    normalizeText(question.text)
+      .split(' ')
+      .filter(token => token && !FILLER_WORDS.has(token))
+  )).sort();
+
+  const answer = normalizeText(correctAnswerText(question));
+
+  return {
+    key: `${tokens.join(' ')}|${answer}`,
+    tokens,
+    answer,
+    text: question.text
+  };
+}
+
+function similarity(tokensA, tokensB) {
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+
+  const setB = new Set(tokensB);
+  const shared = tokensA.filter(token => setB.has(token)).length;
+  return shared / (tokensA.length + tokensB.length - shared);
+}
+
+/**
+ * Check whether a fingerprint matches something already in the history
+ * @param {Object} fingerprint - Result of fingerprintQuestion
+ * @param {Array} history - Room question history
+ * @returns {boolean} - True if the question is a near-duplicate
+ */
+function isNearDuplicate(fingerprint, history) {
+  return history.some(entry => {
+    if (entry.key === fingerprint.key) return true;
+
+    const score = similarity(fingerprint.tokens, entry.tokens);
+    return score >= DUPLICATE_SIMILARITY ||
+      (score >= SAME_ANSWER_SIMILARITY && fingerprint.answer && entry.answer === fingerprint.answer);
+  });
+}
+
+/**
+ * Split questions into fresh ones and near-duplicates of the history or of each other
+ * @param {Array} questions - Candidate questions
+ * @param {Array} history - Room question history
+ * @returns {Object} - { fresh, duplicates }
+ */
+function filterNewQuestions(questions, history = []) {
+  const seen = [...history];
+  const fresh = [];
+  const duplicates = [];
+
+  questions.forEach(question => {
+    const fingerprint = fingerprintQuestion(question);
+    if (isNearDuplicate(fingerprint, seen)) {
+      duplicates.push(question);
+    } else {
+      seen.push(fingerprint);
+      fresh.push(question);
+    }
+  });
+
+  return { fresh, duplicates };
+}
+
+/**
+ * Add an asked question to the room history, keeping the most recent MAX_HISTORY entries
+ * @param {Array} history - Room question history, modified in place
+ * @param {Object} question - Question that was just asked
+ */
+function recordQuestion(history, question) {
+  const fingerprint = fingerprintQuestion(question);
+
+  // Re-asking a question moves it to the end instead of adding a second entry
+  const existingIndex = history.findIndex(entry => entry.key === fingerprint.key);
+  if (existingIndex !== -1) {
+    history.splice(existingIndex, 1);
+  }
+
+  history.push(fingerprint);
+  if (history.length > MAX_HISTORY) {
+    history.splice(0, history.length - MAX_HISTORY);
+  }
+}
+
+/**
+ * Most recent question stems, for telling the generator what not to repeat
+ * @param {Array} history - Room question history
+ * @param {number} limit - Maximum number of stems
+ * @returns {Array} - Array of question texts, newest last
+ */
+function recentQuestionStems(history = [], limit = 25) {
+  return history.slice(-limit).map(entry => entry.text);
+}
+
+module.exports = {
+  filterNewQuestions,
+  fingerprintQuestion,
+  recentQuestionStems,
+  recordQuestion
+};
@@ -0,0 +1,254 @@
+const { OpenAI } = require('openai');
+const { createOfflineProvider } = require('./offlineQuestions');
+require('dotenv').config();
+
+const DEFAULT_OPENAI_MODEL = 'gpt-3.5-turbo';
+
+let activeProvider = null;
+
+// Fields each question type needs, for prompts that mix types
+const TYPE_FIELDS = {
+  'multiple-choice': `- "multiple-choice": options (array of 4 possible answers as strings) and correctIndex (index of the correct answer, 0-3)`,
+  'true-false': `- "true-false": text is a statement, and answer is true or false`,
+  'short-answer': `- "short-answer": answer (the expected answer, one to four words) and acceptedAnswers (array of other acceptable spellings, may be empty)`,
+  numeric: `- "numeric": answer (a number) and unit (optional, e.g. "km"); players who guess closest win`,
+  'multi-select': `- "multi-select": options (array of 4 to 6 possible answers as strings) and correctIndices (array of the indices of every correct option, at least one but not all)`
+};
+
+/**
+ * Build the chat prompt for a batch of questions
+ * @param {Object} request - { topic, count, difficulty, useNotes, excludeQuestions, section, questionTypes }
+ * @returns {Object} - { systemPrompt, prompt, temperature }
+ */
+function buildPrompt({ topic, count, difficulty, useNotes, excludeQuestions = [], section = null, questionTypes = ['multiple-choice'] }) {
+  const multipleChoiceOnly = questionTypes.length === 1 && questionTypes[0] === 'multiple-choice';
+  const kind = multipleChoiceOnly ? 'multiple-choice' : 'quiz';
+
+  let prompt;
+  if (useNotes) {
+    prompt = `Generate ${count} unique ${difficulty}-level ${kind} questions based on these study notes${section ? ` from the section "${section}"` : ''}.
+             Use ONLY the provided content to create questions:
+
+             ${topic}
+
+             Create questions that test understanding of key concepts from the notes.
+             For each question:
+             1. Focus on SPECIFIC information directly stated in the notes
+             2. Create plausible but incorrect options or statements based on content from the notes
+             3. Make sure the correct answer is explicitly supported by the notes
+             4. Do not generate questions about general topics - only use the provided content
+
+             Format your response as a JSON object with a 'questions' field containing an array of question objects.
+
+             Questions MUST be answerable solely from the provided notes.
+             Every question object MUST also have a 'source' field: an exact quote of one or two sentences,
+             copied word for word from the notes, that supports the correct answer.
+             Every question object MUST also have an 'explanation' field: one or two sentences explaining
+             why the answer is correct, using only what the notes say.`;
+  } else {
+    prompt = `Generate ${count} unique ${difficulty}-level ${kind} trivia questions about ${topic}.
+             For each new set of questions, cover different aspects than previously asked questions.
+             ${multipleChoiceOnly ? 'Each question should have 4 options with only one correct answer.' : ''}
+             Format your response as a JSON object with a 'questions' field containing an array of question objects.`;
+  }
+
+  if (multipleChoiceOnly) {
+    prompt += `
+
+            Each question object should have these fields:
+            - id: a unique number for each question (1, 2, 3, etc.)
+            - text: the question text
+            - options: array of 4 possible answers as strings
+            - correctIndex: index of the correct answer (0-3)
+            - explanation: one or two sentences explaining why the answer is correct
+            - timeLimit: time limit in seconds (10)`;
+  } else {
+    prompt += `
+
+            Each question object should have these fields:
+            - id: a unique number for each question (1, 2, 3, etc.)
+            - type: one of ${questionTypes.map(type => `"${type}"`).join(', ')} - mix the types across the batch
+            - text: the question text
+            - explanation: one or two sentences explaining why the answer is correct
+            - timeLimit: time limit in seconds (10)
+            Plus these fields depending on the type:
+            ${questionTypes.map(type => TYPE_FIELDS[type]).join('\n            ')}`;
+  }
+
+  if (excludeQuestions.length > 0) {
+    prompt += `
+
+            These questions were already asked in earlier rounds. Do NOT repeat them, rephrase them,
+            or ask about the same fact with a different wording:
+            ${excludeQuestions.map(text => `- ${text}`).join('\n            ')}`;
+  }
+
+  return {
+    systemPrompt: useNotes
+      ? "You are an expert at creating educational assessment questions from study materials."
+      : "You are a helpful assistant that generates unique trivia questions. Vary the types of questions you ask.",
+    prompt,
+    temperature: useNotes ? 0.3 : 0.9 // Lower temperature for study notes to ensure accuracy
+  };
+}
+
+/**
+ * Pull the questions array out of a model response
+ * @param {string} responseContent - Raw message content from the model
+ * @returns {Array} - Array of raw question objects
+ */
+function parseQuestionsResponse(responseContent) {
+  console.log("Response content preview:", responseContent.substring(0, 100) + "...");
+
+  let data;
+  try {
+    data = JSON.parse(responseContent);
+    console.log("Parsed JSON successfully");
+  } catch (parseError) {
+    console.error("Error parsing JSON:", parseError);
+    console.error("Full response:", responseContent);
+    throw new Error("Failed to parse response from model");
+  }
+
+  if (!data.questions) {
+    console.error("Response doesn't contain 'questions' field:", data);
+    const possibleQuestionArray = Object.values(data).find(val => Array.isArray(val));
+    if (possibleQuestionArray) {
+      console.log("Found an array in response, using as questions");
+      data.questions = possibleQuestionArray;
+    } else {
+      throw new Error("Response doesn't contain a questions array");
+    }
+  }
+
+  if (!Array.isArray(data.questions)) {
+    console.error("'questions' is not an array:", data.questions);
+    throw new Error("Response format is incorrect - questions is not an array");
+  }
+
+  return data.questions;
+}
+
+/**
+ * Provider for OpenAI or any endpoint speaking the OpenAI chat completions API
+ * @param {Object} options - Provider options
+ * @param {string} options.name - Provider name used in logs
+ * @param {string} options.apiKey - API key (local endpoints usually accept any value)
+ * @param {string} options.baseURL - Base URL of the endpoint, omitted for OpenAI itself
+ * @param {string} options.model - Model name
+ * @param {boolean} options.jsonMode - Whether to request a JSON object response format
+ * @returns {Object} - Question provider
+ */
+function createOpenAICompatibleProvider({ name, apiKey, baseURL, model, jsonMode = true }) {
+  const client = new OpenAI({ apiKey, baseURL });
+
+  return {
+    name,
+    model,
+    async generateQuestions(request) {
+      const { systemPrompt, prompt, temperature } = buildPrompt(request);
+
+      const response = await client.chat.completions.create({
+        model,
+        messages: [
+          {
+            role: "system",
+            content: systemPrompt
+          },
+          {
+            role: "user",
+            content: prompt
+          }
+        ],
+        ...(jsonMode ? { response_format: { type: "json_object" } } : {}),
+        temperature
+      });
+
+      console.log(`Received response from ${name} (${model})`);
+      return parseQuestionsResponse(response.choices[0].message.content);
+    },
+    async explainAnswer({ text, correctAnswer, source }) {
+      const prompt = source
+        ? `Using ONLY this excerpt from a student's notes, explain in one or two sentences why "${correctAnswer}" is the correct answer to the question "${text}".
+
+             Excerpt: ${source}`
+        : `In one or two sentences, explain why "${correctAnswer}" is the correct answer to the trivia question "${text}".`;
+
+      const response = await client.chat.completions.create({
+        model,
+        messages: [
+          {
+            role: "system",
+            content: "You are a helpful tutor who gives short, accurate explanations."
+          },
+          {
+            role: "user",
+            content: prompt
+          }
+        ],
+        temperature: 0.3
+      });
+
+      return response.choices[0].message.content.trim();
+    }
+  };
+}
+
+/**
+ * Create the question provider selected by config
+ * @param {Object} config - Config values, defaults to process.env
+ * @returns {Object} - Question provider with name, model and generateQuestions
+ */
+function createQuestionProvider(config = process.env) {
+  // Without an explicit choice, use OpenAI when a key is configured and the offline bank otherwise
+  const type = config.TRIVIA_PROVIDER || (config.OPENAI_API_KEY ? 'openai' : 'offline');
+  const jsonMode = config.TRIVIA_JSON_MODE !== 'false';
+
+  if (type === 'openai') {
+    if (!config.OPENAI_API_KEY) {
+      throw new Error("TRIVIA_PROVIDER is 'openai' but OPENAI_API_KEY is not set");
+    }
+    return createOpenAICompatibleProvider({
+      name: 'openai',
+      apiKey: config.OPENAI_API_KEY,
+      model: config.TRIVIA_MODEL || DEFAULT_OPENAI_MODEL,
+      jsonMode
+    });
+  }
+
+  if (type === 'local') {
+    if (!config.TRIVIA_BASE_URL || !config.TRIVIA_MODEL) {
+      throw new Error("TRIVIA_PROVIDER is 'local' but TRIVIA_BASE_URL or TRIVIA_MODEL is not set");
+    }
+    return createOpenAICompatibleProvider({
+      name: 'local',
+      apiKey: config.TRIVIA_API_KEY || 'not-needed',
+      baseURL: config.TRIVIA_BASE_URL,
+      model: config.TRIVIA_MODEL,
+      jsonMode
+    });
+  }
+
+  if (type === 'offline') {
+    return createOfflineProvider();
+  }
+
+  throw new Error(`Unknown trivia provider: ${type}`);
+}
+
+/**
+ * Get the provider for this process, creating it on first use
+ * @returns {Object} - Question provider
+ */
+function getQuestionProvider() {
+  if (!activeProvider) {
+    activeProvider = createQuestionProvider();
+    console.log(`Using ${activeProvider.name} question provider (${activeProvider.model})`);
+  }
+  return activeProvider;
+}
+
+module.exports = {
+  createQuestionProvider,
+  getQuestionProvider
+};
@@ -0,0 +1,220 @@
+const { normalizeText, parseNumber } = require('./questionValidation');
+
+const MAX_ANSWER_TEXT_LENGTH = 100;
+
+const LEADING_ARTICLES = /^(the|a|an) /;
+
+// The closest numeric guess only wins if it is within this fraction of the answer
+const MAX_NUMERIC_ERROR = 0.5;
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Number of single-character edits between them
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// Typos allowed for an answer of this length - none for short words and numbers
+function allowedTypos(answer) {
+  if (answer.length <= 3 || /^[\d ]+$/.test(answer)) return 0;
+  return answer.length <= 7 ? 1 : 2;
+}
+
+/**
+ * Check a free-text answer against a short-answer question, forgiving case, punctuation,
+ * leading articles and small typos
+ * @param {Object} question - Short-answer question
+ * @param {string} answerText - Player's answer
+ * @returns {boolean} - True if the answer counts as correct
+ */
+function matchesShortAnswer(question, answerText) {
+  const given = normalizeText(answerText).replace(LEADING_ARTICLES, '');
+  if (!given) return false;
+
+  return [question.answer, ...(question.acceptedAnswers || [])].some(accepted => {
+    const expected = normalizeText(accepted).replace(LEADING_ARTICLES, '');
+    return given === expected || editDistance(given, expected) <= allowedTypos(expected);
+  });
+}
+
+/**
+ * Read the answer out of a submit-answer payload, in the shape the question type expects:
+ * answerIndex for multiple choice and true/false, answerText for short answers,
+ * answerValue for numeric questions and answerIndices for multi-select
+ * @param {Object} question - Current question
+ * @param {Object} data - submit-answer payload
+ * @returns {*} - Normalized answer, or null if the payload doesn't fit the question
+ */
+function readAnswer(question, data) {
+  switch (question.type || 'multiple-choice') {
+    case 'short-answer': {
+      if (typeof data.answerText !== 'string') return null;
+      const answerText = data.answerText.trim();
+      return answerText && answerText.length <= MAX_ANSWER_TEXT_LENGTH ? answerText : null;
+    }
+
+    case 'numeric': {
+      const answerValue = parseNumber(data.answerValue);
+      return Number.isFinite(answerValue) ? answerValue : null;
+    }
+
+    case 'multi-select': {
+      if (!Array.isArray(data.answerIndices)) return null;
+      const indices = Array.from(new Set(data.answerIndices));
+      const inRange = indices.every(index => Number.isInteger(index) && index >= 0 && index < question.options.length);
+      return inRange && indices.length > 0 ? indices.sort((a, b) => a - b) : null;
+    }
+
+    default: {
+      const { answerIndex } = data;
+      return Number.isInteger(answerIndex) && answerIndex >= 0 && answerIndex < question.options.length
+        ? answerIndex
+        : null;
+    }
+  }
+}
+
+/**
+ * Grade every answer to a question. Credit is between 0 and 1 - numeric questions go to
+ * whoever is closest, and multi-select answers earn partial credit.
+ * @param {Object} question - Question that just ended
+ * @param {Array} answers - Pending answers with an answer field from readAnswer
+ * @returns {Array} - The answers, each with a credit field added
+ */
+function gradeAnswers(question, answers) {
+  switch (question.type || 'multiple-choice') {
+    case 'short-answer':
+      return answers.map(answer => ({ ...answer, credit: matchesShortAnswer(question, answer.answer) ? 1 : 0 }));
+
+    case 'numeric': {
+      // Closest wins - everyone tied for the smallest distance gets full credit,
+      // unless even the closest guess is way off
+      const closest = Math.min(...answers.map(answer => Math.abs(answer.answer - question.answer)));
+      const limit = Math.max(1, Math.abs(question.answer) * MAX_NUMERIC_ERROR);
+      return answers.map(answer => {
+        const distance = Math.abs(answer.answer - question.answer);
+        return { ...answer, credit: distance === closest && distance <= limit ? 1 : 0 };
+      });
+    }
+
+    case 'multi-select': {
+      // Each right pick earns a share, each wrong pick takes one back
+      const correct = new Set(question.correctIndices);
+      return answers.map(answer => {
+        const hits = answer.answer.filter(index => correct.has(index)).length;
+        const misses = answer.answer.length - hits;
+        return { ...answer, credit: Math.max(0, (hits - misses) / correct.size) };
+      });
+    }
+
+    default:
+      return answers.map(answer => ({ ...answer, credit: answer.answer === question.correctIndex ? 1 : 0 }));
+  }
+}
+
+/**
+ * Question as sent to players, without anything that gives the answer away
+ * @param {Object} question - Full question
+ * @returns {Object} - Public question fields
+ */
+function toPublicQuestion(question) {
+  const publicQuestion = {
+    id: question.id,
+    type: question.type || 'multiple-choice',
+    text: question.text,
+    correctIndex: null // Don't send the correct answer yet
+  };
+
+  if (Array.isArray(question.options)) {
+    publicQuestion.options = question.options;
+  }
+  if (question.unit) {
+    publicQuestion.unit = question.unit;
+  }
+  if (question.review) {
+    publicQuestion.review = true; // Asked again for spaced-repetition review
+  }
+
+  return publicQuestion;
+}
+
+/**
+ * Correct answer fields for the question-ended event
+ * @param {Object} question - Question that just ended
+ * @returns {Object} - { type, correctIndex, correctIndices, correctAnswer }
+ */
+function revealAnswer(question) {
+  const type = question.type || 'multiple-choice';
+
+  return {
+    type,
+    correctIndex: type === 'multiple-choice' || type === 'true-false' ? question.correctIndex : null,
+    correctIndices: type === 'multi-select' ? question.correctIndices : null,
+    correctAnswer: correctAnswerText(question)
+  };
+}
+
+/**
+ * A player's answer as display text
+ * @param {Object} question - Question the answer is for
+ * @param {*} answer - Normalized answer from readAnswer
+ * @returns {string} - Answer text
+ */
+function answerText(question, answer) {
+  switch (question.type || 'multiple-choice') {
+    case 'short-answer':
+      return answer;
+    case 'numeric':
+      return question.unit ? `${answer} ${question.unit}` : String(answer);
+    case 'multi-select':
+      return answer.map(index => question.options[index]).join(', ');
+    default:
+      return question.options[answer] !== undefined ? question.options[answer] : String(answer);
+  }
+}
+
+/**
+ * The correct answer as display text
+ * @param {Object} question - Any question
+ * @returns {string} - Answer text, multi-select answers joined with commas
+ */
+function correctAnswerText(question) {
+  switch (question.type || 'multiple-choice') {
+    case 'short-answer':
+      return question.answer;
+    case 'numeric':
+      return question.unit ? `${question.answer} ${question.unit}` : String(question.answer);
+    case 'multi-select':
+      return question.correctIndices.map(index => question.options[index]).join(', ');
+    default:
+      return Array.isArray(question.options) && question.options[question.correctIndex] !== undefined
+        ? question.options[question.correctIndex]
+        : '';
+  }
+}
+
+module.exports = {
+  answerText,
+  correctAnswerText,
+  gradeAnswers,
+  readAnswer,
+  revealAnswer,
+  toPublicQuestion
+};
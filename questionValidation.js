@@ -0,0 +1,409 @@
+const { createRandom, hashString, shuffle } = require('./seededRandom');
+
+const OPTION_COUNT = 4;
+const MAX_TEXT_LENGTH = 500;
+const MAX_OPTION_LENGTH = 200;
+const MAX_ANSWER_LENGTH = 100;
+const MAX_EXPLANATION_LENGTH = 600;
+
+// Multi-select questions offer between four and six options
+const MIN_MULTI_SELECT_OPTIONS = 4;
+const MAX_MULTI_SELECT_OPTIONS = 6;
+
+const QUESTION_TYPES = ['multiple-choice', 'true-false', 'short-answer', 'numeric', 'multi-select'];
+
+// Spellings models and pack authors use for each type
+const TYPE_ALIASES = {
+  'multiple-choice': 'multiple-choice',
+  multiplechoice: 'multiple-choice',
+  mc: 'multiple-choice',
+  'true-false': 'true-false',
+  truefalse: 'true-false',
+  boolean: 'true-false',
+  'short-answer': 'short-answer',
+  shortanswer: 'short-answer',
+  'free-text': 'short-answer',
+  text: 'short-answer',
+  numeric: 'numeric',
+  number: 'numeric',
+  'multi-select': 'multi-select',
+  multiselect: 'multi-select',
+  'multiple-select': 'multi-select',
+  'select-all': 'multi-select'
+};
+
+const TRUE_FALSE_OPTIONS = ['True', 'False'];
+
+/**
+ * Normalize text for comparisons - lowercase, no punctuation, single spaces
+ * @param {string} value - Text to normalize
+ * @returns {string} - Normalized text
+ */
+function normalizeText(value) {
+  return String(value)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function toCleanString(value) {
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  if (typeof value !== 'string') {
+    return '';
+  }
+  return value.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Work out which option is correct, accepting the answer text when the index is missing or wrong
+ * @param {Object} raw - Raw question object
+ * @param {Array} options - Cleaned option strings, before de-duplication
+ * @returns {number} - Index into options, or -1 if it can't be determined
+ */
+function resolveCorrectIndex(raw, options) {
+  const index = Number(raw.correctIndex);
+  const answerText = toCleanString(raw.correctAnswer || raw.answer);
+
+  if (answerText) {
+    const answerIndex = options.findIndex(option => normalizeText(option) === normalizeText(answerText));
+    if (answerIndex !== -1) return answerIndex;
+  }
+
+  if (Number.isInteger(index) && index >= 0 && index < options.length) {
+    return index;
+  }
+
+  return -1;
+}
+
+/**
+ * Shuffle options so the correct answers land in different slots per question.
+ * Seeded from the question text so the same question always shuffles the same way.
+ * @returns {Object} - { options, order } - order[i] is the original index of options[i]
+ */
+function shuffleOptions(text, options) {
+  const random = createRandom(hashString(normalizeText(text)));
+  const order = shuffle(options.map((_, i) => i), random);
+
+  return {
+    options: order.map(i => options[i]),
+    order
+  };
+}
+
+/**
+ * Work out a question's type, guessing from its shape when the type is missing
+ * @param {Object} raw - Raw question object
+ * @returns {string|null} - One of QUESTION_TYPES, or null for an unknown type
+ */
+function resolveQuestionType(raw) {
+  if (raw.type !== undefined && raw.type !== null && raw.type !== '') {
+    const key = String(raw.type).toLowerCase().trim().replace(/[\s_]+/g, '-');
+    return TYPE_ALIASES[key] || TYPE_ALIASES[key.replace(/-/g, '')] || null;
+  }
+
+  if (Array.isArray(raw.correctIndices)) return 'multi-select';
+  if (!Array.isArray(raw.options) && !Array.isArray(raw.choices) && raw.answer !== undefined) {
+    return typeof raw.answer === 'number' ? 'numeric' : 'short-answer';
+  }
+  return 'multiple-choice';
+}
+
+/**
+ * Clean a list of options, dropping blanks, overlong options and duplicates
+ * @param {Array} rawOptions - Raw option values
+ * @returns {Array} - Array of { option, index } with the original index of each kept option
+ */
+function distinctOptions(rawOptions) {
+  const seen = new Set();
+  const kept = [];
+
+  rawOptions.map(toCleanString).forEach((option, index) => {
+    const key = normalizeText(option);
+    if (!key || seen.has(key) || option.length > MAX_OPTION_LENGTH) return;
+    seen.add(key);
+    kept.push({ option, index });
+  });
+
+  return kept;
+}
+
+function validateMultipleChoice(raw, text) {
+  const rawOptions = Array.isArray(raw.options) ? raw.options : raw.choices;
+  if (!Array.isArray(rawOptions)) {
+    return { question: null, reason: 'missing options' };
+  }
+
+  const cleanedOptions = rawOptions.map(toCleanString);
+  const correctIndex = resolveCorrectIndex(raw, cleanedOptions);
+  if (correctIndex === -1 || !cleanedOptions[correctIndex]) {
+    return { question: null, reason: 'correct answer out of range' };
+  }
+
+  const correctOption = cleanedOptions[correctIndex];
+
+  // Keep the correct answer first, then the distinct non-empty distractors
+  const correctKey = normalizeText(correctOption);
+  const distractors = distinctOptions(cleanedOptions)
+    .filter(({ option, index }) => index !== correctIndex && normalizeText(option) !== correctKey)
+    .map(({ option }) => option);
+
+  if (distractors.length < OPTION_COUNT - 1) {
+    return { question: null, reason: `only ${distractors.length + 1} distinct options` };
+  }
+
+  const shuffled = shuffleOptions(text, [correctOption, ...distractors.slice(0, OPTION_COUNT - 1)]);
+  return {
+    question: {
+      type: 'multiple-choice',
+      text,
+      options: shuffled.options,
+      correctIndex: shuffled.order.indexOf(0)
+    },
+    reason: null
+  };
+}
+
+function validateTrueFalse(raw, text) {
+  let answer = raw.answer !== undefined ? raw.answer : raw.correctAnswer;
+
+  // Also accept the multiple-choice shape with True/False options
+  if (answer === undefined && Array.isArray(raw.options)) {
+    const index = resolveCorrectIndex(raw, raw.options.map(toCleanString));
+    answer = index === -1 ? undefined : raw.options[index];
+  }
+
+  const key = normalizeText(answer === undefined ? '' : answer);
+  let correctIndex = -1;
+  if (answer === true || ['true', 't', 'yes'].includes(key)) correctIndex = 0;
+  if (answer === false || ['false', 'f', 'no'].includes(key)) correctIndex = 1;
+
+  if (correctIndex === -1) {
+    return { question: null, reason: 'true/false answer missing' };
+  }
+
+  return {
+    question: {
+      type: 'true-false',
+      text,
+      options: [...TRUE_FALSE_OPTIONS],
+      correctIndex
+    },
+    reason: null
+  };
+}
+
+function validateShortAnswer(raw, text) {
+  const answer = toCleanString(raw.answer !== undefined ? raw.answer : raw.correctAnswer);
+  if (!normalizeText(answer)) {
+    return { question: null, reason: 'missing answer' };
+  }
+  if (answer.length > MAX_ANSWER_LENGTH) {
+    return { question: null, reason: 'answer too long' };
+  }
+
+  const acceptedAnswers = (Array.isArray(raw.acceptedAnswers) ? raw.acceptedAnswers : [])
+    .map(toCleanString)
+    .filter(alternative => normalizeText(alternative) && alternative.length <= MAX_ANSWER_LENGTH);
+
+  return {
+    question: {
+      type: 'short-answer',
+      text,
+      answer,
+      acceptedAnswers: Array.from(new Set(acceptedAnswers))
+    },
+    reason: null
+  };
+}
+
+/**
+ * Read a number from a number or a string like "1,969" or "8848 m"
+ * @param {*} value - Raw value
+ * @returns {number} - The number, or NaN
+ */
+function parseNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return NaN;
+
+  const match = value.replace(/(\d),(?=\d{3}\b)/g, '$1').match(/-?\d+(\.\d+)?/);
+  return match ? Number(match[0]) : NaN;
+}
+
+function validateNumeric(raw, text) {
+  const answer = parseNumber(raw.answer !== undefined ? raw.answer : raw.correctAnswer);
+  if (!Number.isFinite(answer)) {
+    return { question: null, reason: 'numeric answer missing' };
+  }
+
+  const question = {
+    type: 'numeric',
+    text,
+    answer
+  };
+
+  const unit = toCleanString(raw.unit);
+  if (unit) {
+    question.unit = unit.substring(0, 20);
+  }
+
+  return { question, reason: null };
+}
+
+function validateMultiSelect(raw, text) {
+  const rawOptions = Array.isArray(raw.options) ? raw.options : raw.choices;
+  if (!Array.isArray(rawOptions)) {
+    return { question: null, reason: 'missing options' };
+  }
+
+  const kept = distinctOptions(rawOptions).slice(0, MAX_MULTI_SELECT_OPTIONS);
+  if (kept.length < MIN_MULTI_SELECT_OPTIONS) {
+    return { question: null, reason: `only ${kept.length} distinct options` };
+  }
+
+  // Correct answers by index, or by text when the model wrote them out
+  const correctKeys = new Set((Array.isArray(raw.correctAnswers) ? raw.correctAnswers : []).map(normalizeText));
+  const correctIndices = new Set((Array.isArray(raw.correctIndices) ? raw.correctIndices : []).map(Number));
+  const correct = kept.map(({ option, index }) => correctIndices.has(index) || correctKeys.has(normalizeText(option)));
+
+  const correctCount = correct.filter(Boolean).length;
+  if (correctCount === 0) {
+    return { question: null, reason: 'no correct options' };
+  }
+  if (correctCount === kept.length) {
+    return { question: null, reason: 'every option is correct' };
+  }
+
+  const shuffled = shuffleOptions(text, kept.map(({ option }) => option));
+  return {
+    question: {
+      type: 'multi-select',
+      text,
+      options: shuffled.options,
+      correctIndices: shuffled.order
+        .map((originalIndex, index) => (correct[originalIndex] ? index : -1))
+        .filter(index => index !== -1)
+    },
+    reason: null
+  };
+}
+
+const TYPE_VALIDATORS = {
+  'multiple-choice': validateMultipleChoice,
+  'true-false': validateTrueFalse,
+  'short-answer': validateShortAnswer,
+  numeric: validateNumeric,
+  'multi-select': validateMultiSelect
+};
+
+/**
+ * Validate a single question, repairing what can be repaired
+ * @param {Object} raw - Raw question object from a provider
+ * @returns {Object} - { question, reason } - question is null when it had to be dropped
+ */
+function validateQuestion(raw) {
+  if (!raw || typeof raw !== 'object') {
+    return { question: null, reason: 'not an object' };
+  }
+
+  const text = toCleanString(raw.text || raw.question);
+  if (!text) {
+    return { question: null, reason: 'empty text' };
+  }
+  if (text.length > MAX_TEXT_LENGTH) {
+    return { question: null, reason: 'text too long' };
+  }
+
+  const type = resolveQuestionType(raw);
+  if (!type) {
+    return { question: null, reason: `unknown question type '${raw.type}'` };
+  }
+
+  const { question, reason } = TYPE_VALIDATORS[type](raw, text);
+  if (!question) {
+    return { question: null, reason };
+  }
+
+  // Notes-based questions quote their supporting excerpt, checked later against the notes
+  const source = toCleanString(raw.source && typeof raw.source === 'object' ? raw.source.excerpt : raw.source);
+  if (source) {
+    question.source = source;
+  }
+
+  // Short reason the answer is right, revealed after the question
+  const explanation = toCleanString(raw.explanation);
+  if (explanation) {
+    question.explanation = explanation.substring(0, MAX_EXPLANATION_LENGTH);
+  }
+
+  // Bank questions are never sent to the provider for an explanation
+  if (raw.fromBank === true) {
+    question.fromBank = true;
+  }
+
+  return { question, reason: null };
+}
+
+/**
+ * Keep only the question types a room allows
+ * @param {Array} types - Requested type names
+ * @returns {Array} - Known types, defaulting to multiple choice only
+ */
+function normalizeQuestionTypes(types) {
+  const known = (Array.isArray(types) ? types : [])
+    .map(type => resolveQuestionType({ type }))
+    .filter(Boolean);
+
+  return known.length > 0 ? Array.from(new Set(known)) : ['multiple-choice'];
+}
+
+/**
+ * Validate a batch of questions, dropping invalid ones and duplicates
+ * @param {Array} rawQuestions - Raw question objects from a provider
+ * @param {Array} existing - Already accepted questions to de-duplicate against
+ * @param {Array} allowedTypes - Question types to keep, all types when omitted
+ * @returns {Object} - { valid, rejected } - rejected holds { text, reason } entries
+ */
+function validateQuestions(rawQuestions, existing = [], allowedTypes = QUESTION_TYPES) {
+  const seenTexts = new Set(existing.map(question => normalizeText(question.text)));
+  const valid = [];
+  const rejected = [];
+
+  (Array.isArray(rawQuestions) ? rawQuestions : []).forEach(raw => {
+    const { question, reason } = validateQuestion(raw);
+    const label = raw && typeof raw.text === 'string' ? raw.text.substring(0, 50) : '(no text)';
+
+    if (!question) {
+      rejected.push({ text: label, reason });
+      return;
+    }
+
+    if (!allowedTypes.includes(question.type)) {
+      rejected.push({ text: label, reason: `${question.type} questions are turned off` });
+      return;
+    }
+
+    const key = normalizeText(question.text);
+    if (seenTexts.has(key)) {
+      rejected.push({ text: label, reason: 'duplicate question' });
+      return;
+    }
+
+    seenTexts.add(key);
+    valid.push(question);
+  });
+
+  return { valid, rejected };
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  normalizeQuestionTypes,
+  normalizeText,
+  parseNumber,
+  validateQuestion,
+  validateQuestions
+};
@@ -0,0 +1,151 @@
+// Bucket limits are { burst, perMinute }: up to burst requests at once, refilled at perMinute
+
+// Socket events - per socket, so one tab can't flood, and per address, which a whole class
+// may share behind campus NAT, so those limits are much higher
+const DEFAULT_EVENT_LIMIT = {
+  socket: { burst: 20, perMinute: 120 },
+  address: { burst: 300, perMinute: 1800 }
+};
+
+const EVENT_LIMITS = {
+  'create-room': {
+    socket: { burst: 3, perMinute: 5 },
+    address: { burst: 20, perMinute: 30 }
+  },
+  'join-room': {
+    socket: { burst: 10, perMinute: 30 },
+    address: { burst: 100, perMinute: 300 }
+  },
+  'rejoin-room': {
+    socket: { burst: 10, perMinute: 30 },
+    address: { burst: 100, perMinute: 300 }
+  },
+  // Every topic pick is a paid question generation request
+  'select-topic': {
+    socket: { burst: 3, perMinute: 6 },
+    address: { burst: 10, perMinute: 20 }
+  },
+  'vote-topic': {
+    socket: { burst: 5, perMinute: 20 },
+    address: { burst: 200, perMinute: 600 }
+  },
+  'submit-answer': {
+    socket: { burst: 10, perMinute: 120 },
+    address: { burst: 300, perMinute: 3000 }
+  },
+  'get-break-report': {
+    socket: { burst: 5, perMinute: 20 },
+    address: { burst: 50, perMinute: 200 }
+  }
+};
+
+// REST routes, per address
+const DEFAULT_ROUTE_LIMIT = { burst: 60, perMinute: 300 };
+
+const ROUTE_LIMITS = {
+  'upload-notes': { burst: 5, perMinute: 10 },
+  'break-report': { burst: 10, perMinute: 30 },
+  'add-question-pack': { burst: 5, perMinute: 10 }
+};
+
+// Paid provider calls the server makes by itself while a room plays - per room, and across
+// every room so a busy server can't run up the provider bill
+const PROVIDER_LIMITS = {
+  'explain-answer': {
+    room: { burst: 5, perMinute: 6 },
+    server: { burst: 30, perMinute: 60 }
+  }
+};
+
+/**
+ * Limits for a socket event
+ * @param {string} event - Event name
+ * @returns {Object} - { socket, address } bucket limits
+ */
+function eventLimits(event) {
+  return EVENT_LIMITS[event] || DEFAULT_EVENT_LIMIT;
+}
+
+/**
+ * Limit for a REST route
+ * @param {string} route - Route name given to the route's limiter
+ * @returns {Object} - Bucket limit for one address
+ */
+function routeLimit(route) {
+  return ROUTE_LIMITS[route] || DEFAULT_ROUTE_LIMIT;
+}
+
+/**
+ * Limits for a provider call the server makes for a room
+ * @param {string} call - Call name
+ * @returns {Object} - { room, server } bucket limits
+ */
+function providerLimits(call) {
+  return PROVIDER_LIMITS[call];
+}
+
+/**
+ * Token buckets keyed by whatever is being limited, e.g. socketId:event. Buckets refill from
+ * timestamps rather than timers, and full buckets are dropped now and then since a new
+ * bucket starts full anyway.
+ * @param {Object} options - Limiter options
+ * @param {Function} options.now - Clock in milliseconds, Date.now by default
+ * @returns {Object} - Limiter with take(key, limit, cost) and size()
+ */
+function createRateLimiter({ now = Date.now } = {}) {
+  const buckets = new Map();
+  let lastSweep = now();
+
+  function refill(bucket, time) {
+    const rate = bucket.limit.perMinute / 60000;
+    bucket.tokens = Math.min(bucket.limit.burst, bucket.tokens + (time - bucket.updatedAt) * rate);
+    bucket.updatedAt = time;
+  }
+
+  function sweep(time) {
+    buckets.forEach((bucket, key) => {
+      refill(bucket, time);
+      if (bucket.tokens >= bucket.limit.burst) buckets.delete(key);
+    });
+    lastSweep = time;
+  }
+
+  return {
+    /**
+     * Take tokens from a bucket
+     * @param {string} key - Bucket key
+     * @param {Object} limit - { burst, perMinute }
+     * @param {number} cost - Tokens to take, e.g. bytes for an upload quota
+     * @returns {number} - 0 if allowed, otherwise milliseconds until there are enough tokens
+     *   (Infinity if cost is more than the bucket can ever hold)
+     */
+    take(key, limit, cost = 1) {
+      const time = now();
+      if (time - lastSweep > 60000) sweep(time);
+
+      if (cost > limit.burst) return Infinity;
+
+      let bucket = buckets.get(key);
+      if (!bucket) {
+        bucket = { limit, tokens: limit.burst, updatedAt: time };
+        buckets.set(key, bucket);
+      }
+      refill(bucket, time);
+
+      if (bucket.tokens < cost) {
+        return Math.ceil((cost - bucket.tokens) / (limit.perMinute / 60000));
+      }
+
+      bucket.tokens -= cost;
+      return 0;
+    },
+    size: () => buckets.size
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+  eventLimits,
+  providerLimits,
+  routeLimit
+};
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const { hashSessionToken } = require('./playerSessions');
+
+const MAX_PASSCODE_LENGTH = 64;
+
+// Largest room a host can ask for
+const MAX_ROOM_CAPACITY = 200;
+
+/**
+ * Hash a room passcode with a random salt, so the passcode itself is never stored
+ * @param {string} passcode - Passcode chosen by the host
+ * @returns {string|null} - salt:hash in hex, or null if the room has no passcode
+ */
+function hashPasscode(passcode) {
+  if (typeof passcode !== 'string' || !passcode.trim()) return null;
+
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(passcode.trim().substring(0, MAX_PASSCODE_LENGTH), salt, 32).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+/**
+ * Check a passcode against a room's stored passcode hash
+ * @param {string} passcodeHash - Result of hashPasscode
+ * @param {string} passcode - Passcode given by the joining player
+ * @returns {boolean} - True if the passcode matches
+ */
+function matchesPasscode(passcodeHash, passcode) {
+  if (!passcodeHash || typeof passcode !== 'string') return false;
+
+  const [salt, hash] = passcodeHash.split(':');
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(passcode.trim().substring(0, MAX_PASSCODE_LENGTH), salt, 32);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Work out a room's participant limit from its settings
+ * @param {*} value - Requested maximum number of participants
+ * @returns {number|null} - Limit, or null for no limit
+ */
+function resolveCapacity(value) {
+  const capacity = parseInt(value, 10);
+  return capacity > 0 ? Math.min(capacity, MAX_ROOM_CAPACITY) : null;
+}
+
+/**
+ * Ban record for a participant. Every join issues a new player id, so bans are also matched by
+ * the client id the browser keeps across visits and by the hash of the banned session token,
+ * which the client sends back when it tries to join again. A client that clears its storage
+ * and picks a new name is not recognised - addresses are not used, since a whole class often
+ * shares one campus address.
+ * @param {Object} participant - Participant being banned
+ * @returns {Object} - { playerId, clientId, sessionTokenHash, username, bannedAt }
+ */
+function createBan(participant) {
+  return {
+    playerId: participant.id,
+    clientId: participant.clientId || null,
+    sessionTokenHash: participant.sessionTokenHash || null,
+    username: participant.username,
+    bannedAt: Date.now()
+  };
+}
+
+/**
+ * Check whether someone trying to (re)join is banned from a room
+ * @param {Array} bans - Room ban records
+ * @param {Object} candidate - { playerId, clientId, sessionToken, username } - any may be missing
+ * @returns {boolean} - True if any ban matches
+ */
+function isBanned(bans, { playerId, clientId, sessionToken, username }) {
+  if (!Array.isArray(bans) || bans.length === 0) return false;
+
+  const name = String(username || '').trim().toLowerCase();
+  const tokenHash = typeof sessionToken === 'string' && sessionToken ? hashSessionToken(sessionToken) : null;
+
+  return bans.some(ban =>
+    (playerId && ban.playerId === playerId) ||
+    (clientId && ban.clientId === clientId) ||
+    (tokenHash && ban.sessionTokenHash === tokenHash) ||
+    (name && String(ban.username).trim().toLowerCase() === name)
+  );
+}
+
+module.exports = {
+  createBan,
+  hashPasscode,
+  isBanned,
+  matchesPasscode,
+  resolveCapacity
+};
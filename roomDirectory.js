@@ -0,0 +1,111 @@
+const MAX_DESCRIPTION_LENGTH = 300;
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const LISTING_MODES = ['study', 'trivia'];
+
+function toTag(value) {
+  return typeof value === 'string'
+    ? value.trim().toLowerCase().replace(/\s+/g, '-').substring(0, MAX_TAG_LENGTH)
+    : '';
+}
+
+/**
+ * Work out how a room appears in the public directory
+ * @param {Object} setting - { public, description, tags }, or missing for a private room
+ * @returns {Object} - { public, description, tags } - tags are lowercase, without duplicates
+ */
+function resolveListing(setting) {
+  const listing = setting || {};
+  const tags = Array.isArray(listing.tags) ? listing.tags.map(toTag).filter(Boolean) : [];
+
+  return {
+    public: listing.public === true,
+    description: typeof listing.description === 'string'
+      ? listing.description.trim().substring(0, MAX_DESCRIPTION_LENGTH)
+      : '',
+    tags: tags.filter((tag, index) => tags.indexOf(tag) === index).slice(0, MAX_TAGS)
+  };
+}
+
+/**
+ * Room summary safe to show anyone - no player ids, session data or passcode
+ * @param {Object} room - Room from activeRooms
+ * @param {number} timeLeft - Seconds left in the current phase
+ * @returns {Object} - { id, name, description, tags, public, hostName, participants, connected,
+ *   spectators, maxParticipants, hasPasscode, mode, topic, timeLeft, timerRunning }
+ */
+function summarizeRoom(room, timeLeft) {
+  const listing = room.listing || resolveListing();
+  const host = room.participants.find(p => p.id === room.host);
+
+  return {
+    id: room.id,
+    name: room.name || '',
+    description: listing.description,
+    tags: listing.tags,
+    public: listing.public,
+    hostName: host ? host.username : null,
+    participants: room.participants.length,
+    connected: room.participants.filter(p => p.connected).length,
+    spectators: (room.spectators || []).length,
+    maxParticipants: room.maxParticipants || null,
+    hasPasscode: Boolean(room.passcodeHash),
+    mode: room.currentMode,
+    topic: room.isUsingNotes ? 'Study Notes' : room.triviaCategory,
+    timeLeft,
+    timerRunning: Boolean(room.timerRunning)
+  };
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value.flatMap(toList);
+  return typeof value === 'string' ? value.split(',').map(toTag).filter(Boolean) : [];
+}
+
+/**
+ * Filter, sort and page directory summaries
+ * @param {Array} summaries - Results of summarizeRoom for public rooms
+ * @param {Object} query - Query string: q (text in name, description or topic), tag (comma-separated,
+ *   a room needs all of them), mode (study or trivia), joinable (true for rooms without a passcode
+ *   and with a free seat), page (from 1) and limit
+ * @returns {Object} - { rooms, total, page, limit, pages }, busiest rooms first
+ */
+function searchDirectory(summaries, query = {}) {
+  const text = typeof query.q === 'string' ? query.q.trim().toLowerCase() : '';
+  const tags = toList(query.tag);
+  const mode = LISTING_MODES.includes(query.mode) ? query.mode : null;
+  const joinable = query.joinable === 'true';
+
+  const matches = summaries
+    .filter(room => !text || [room.name, room.description, room.topic]
+      .some(field => String(field || '').toLowerCase().includes(text)))
+    .filter(room => tags.every(tag => room.tags.includes(tag)))
+    .filter(room => !mode || room.mode === mode)
+    .filter(room => !joinable || (!room.hasPasscode && (!room.maxParticipants || room.participants < room.maxParticipants)))
+    .sort((a, b) => b.connected - a.connected || a.name.localeCompare(b.name));
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const pages = Math.max(1, Math.ceil(matches.length / limit));
+  const page = Math.min(Math.max(parseInt(query.page, 10) || 1, 1), pages);
+
+  return {
+    rooms: matches.slice((page - 1) * limit, page * limit),
+    total: matches.length,
+    page,
+    limit,
+    pages
+  };
+}
+
+module.exports = {
+  MAX_DESCRIPTION_LENGTH,
+  MAX_TAG_LENGTH,
+  MAX_TAGS,
+  resolveListing,
+  searchDirectory,
+  summarizeRoom
+};
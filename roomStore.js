@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+
+// Room IDs come from generateRoomId, anything else is never used as a file name
+const ROOM_ID_PATTERN = /^[A-Z0-9]+$/;
+
+/**
+ * Convert a live room into JSON that can be written to storage. The notes text can be tens of
+ * megabytes, so it's left out - stores keep it separately, written once by saveNotes - and
+ * notesStored marks that the room has some to load back.
+ * @param {Object} room - Room object from activeRooms
+ * @param {Object} timers - { study, break } - which of the room's timers are running
+ * @returns {string} - JSON copy of the room, taken now so later changes don't leak into a queued write
+ */
+function serializeRoom(room, timers = {}) {
+  const { studyNotesContent, ...stored } = room;
+  stored.notesStored = Boolean(studyNotesContent);
+
+  // Remember which timers were running so they can be restarted after a restart
+  stored.studyTimerActive = Boolean(timers.study);
+  stored.breakTimerActive = Boolean(timers.break);
+
+  return JSON.stringify(stored);
+}
+
+/**
+ * In-memory store - rooms are kept for the life of the process only
+ * @returns {Object} - Room store
+ */
+function createMemoryRoomStore() {
+  const rooms = new Map();
+  const notes = new Map();
+
+  return {
+    name: 'memory',
+    async loadRooms() {
+      return Array.from(rooms.values()).map(content => {
+        const room = JSON.parse(content);
+        if (room.notesStored) room.studyNotesContent = notes.get(room.id) || null;
+        return room;
+      });
+    },
+    async saveRoom(room, timers) {
+      rooms.set(room.id, serializeRoom(room, timers));
+    },
+    async saveNotes(roomId, text) {
+      notes.set(roomId, text);
+    },
+    async deleteRoom(roomId) {
+      rooms.delete(roomId);
+      notes.delete(roomId);
+    },
+    async flush() {}
+  };
+}
+
+/**
+ * File-backed store - each room is written to its own JSON file in the directory,
+ * and its notes, if any, to a text file next to it
+ * @param {string} directory - Directory that holds the room files
+ * @returns {Object} - Room store
+ */
+function createFileRoomStore(directory) {
+  // Writes for the same room are chained so they land on disk in order
+  const pendingWrites = new Map();
+
+  function roomFilePath(roomId) {
+    if (!ROOM_ID_PATTERN.test(roomId)) {
+      throw new Error(`Invalid room ID for storage: ${roomId}`);
+    }
+    return path.join(directory, `${roomId}.json`);
+  }
+
+  function notesFilePath(roomId) {
+    return roomFilePath(roomId).replace(/\.json$/, '.notes.txt');
+  }
+
+  // Write to a temp file first so a crash mid-write never leaves a corrupt file
+  function writeAtomically(roomId, filePath, content) {
+    return enqueue(roomId, async () => {
+      await fs.promises.mkdir(directory, { recursive: true });
+
+      const tempPath = `${filePath}.tmp`;
+      await fs.promises.writeFile(tempPath, content, 'utf8');
+      await fs.promises.rename(tempPath, filePath);
+    });
+  }
+
+  function enqueue(roomId, task) {
+    const previous = pendingWrites.get(roomId) || Promise.resolve();
+    const next = previous
+      .then(task)
+      .catch(error => {
+        console.error(`[roomStore] Error writing room ${roomId}:`, error);
+      })
+      .finally(() => {
+        if (pendingWrites.get(roomId) === next) {
+          pendingWrites.delete(roomId);
+        }
+      });
+
+    pendingWrites.set(roomId, next);
+    return next;
+  }
+
+  return {
+    name: 'file',
+    async loadRooms() {
+      await fs.promises.mkdir(directory, { recursive: true });
+      const files = await fs.promises.readdir(directory);
+      const rooms = [];
+
+      for (const file of files) {
+        if (!file.endsWith('.json')) continue;
+
+        try {
+          const content = await fs.promises.readFile(path.join(directory, file), 'utf8');
+          const room = JSON.parse(content);
+          if (room.notesStored) {
+            room.studyNotesContent = await fs.promises.readFile(notesFilePath(room.id), 'utf8').catch(error => {
+              console.error(`[roomStore] Notes for room ${room.id} are missing:`, error.message);
+              return null;
+            });
+          }
+          rooms.push(room);
+        } catch (error) {
+          console.error(`[roomStore] Skipping unreadable room file ${file}:`, error.message);
+        }
+      }
+
+      return rooms;
+    },
+    saveRoom(room, timers) {
+      return writeAtomically(room.id, roomFilePath(room.id), serializeRoom(room, timers));
+    },
+    saveNotes(roomId, text) {
+      return writeAtomically(roomId, notesFilePath(roomId), text);
+    },
+    deleteRoom(roomId) {
+      const filePath = roomFilePath(roomId);
+      const notesPath = notesFilePath(roomId);
+
+      return enqueue(roomId, async () => {
+        await fs.promises.rm(filePath, { force: true });
+        await fs.promises.rm(notesPath, { force: true });
+      });
+    },
+    async flush() {
+      await Promise.all(Array.from(pendingWrites.values()));
+    }
+  };
+}
+
+/**
+ * Create the room store selected by config
+ * @param {Object} options - Store options
+ * @param {string} options.type - Store type (file, memory), defaults to ROOM_STORE or 'file'
+ * @param {string} options.directory - Directory for the file store, defaults to ROOM_STORE_DIR
+ * @returns {Object} - Room store with loadRooms, saveRoom, saveNotes, deleteRoom and flush
+ */
+function createRoomStore(options = {}) {
+  const type = options.type || process.env.ROOM_STORE || 'file';
+
+  if (type === 'memory') {
+    return createMemoryRoomStore();
+  }
+
+  if (type === 'file') {
+    const directory = options.directory || process.env.ROOM_STORE_DIR || path.join(__dirname, 'storage', 'rooms');
+    return createFileRoomStore(directory);
+  }
+
+  throw new Error(`Unknown room store type: ${type}`);
+}
+
+module.exports = {
+  createRoomStore,
+  serializeRoom
+};
@@ -0,0 +1,213 @@
+// Node can't wait longer than this in one setTimeout call
+const MAX_TIMER_DELAY = 2147483647;
+
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, delay) => setTimeout(callback, delay),
+  clearTimeout: handle => clearTimeout(handle)
+};
+
+/**
+ * Clock that only moves when told to, for driving a scheduler deterministically
+ * @param {number} start - Starting time in milliseconds
+ * @returns {Object} - Clock with now, setTimeout, clearTimeout and advance(ms)
+ */
+function createManualClock(start = 0) {
+  let time = start;
+  let nextHandle = 1;
+  const timers = new Map();
+
+  return {
+    now: () => time,
+    setTimeout(callback, delay) {
+      const handle = nextHandle++;
+      timers.set(handle, { at: time + Math.max(0, delay), callback });
+      return handle;
+    },
+    clearTimeout(handle) {
+      timers.delete(handle);
+    },
+    // Move time forward, firing every timer that falls due on the way in order
+    advance(ms) {
+      const target = time + ms;
+      for (;;) {
+        let next = null;
+        timers.forEach((timer, handle) => {
+          if (timer.at <= target && (!next || timer.at < next.timer.at)) {
+            next = { handle, timer };
+          }
+        });
+        if (!next) break;
+
+        timers.delete(next.handle);
+        time = next.timer.at;
+        next.timer.callback();
+      }
+      time = target;
+    }
+  };
+}
+
+/**
+ * One scheduler for every room's phases, countdowns and delayed steps. Jobs are keyed, so
+ * scheduling a key again replaces the old job, and jobs are kept in a min-heap by due time
+ * with a single native timer armed for the earliest one - thousands of rooms cost one timer.
+ * Times come from the clock, never from counting ticks, so countdowns don't drift.
+ * @param {Object} options - Scheduler options
+ * @param {Object} options.clock - { now, setTimeout, clearTimeout }, the system clock by default
+ * @returns {Object} - Scheduler
+ */
+function createScheduler({ clock = systemClock } = {}) {
+  const jobs = new Map();
+  const countdowns = new Map(); // Latest countdown per key, so a cancelled one stops ticking
+  const heap = [];
+  let sequence = 0;
+  let armed = null;
+
+  // Earliest job first; jobs due at the same time run in the order they were scheduled
+  function before(a, b) {
+    return a.at < b.at || (a.at === b.at && a.sequence < b.sequence);
+  }
+
+  function push(job) {
+    heap.push(job);
+    let index = heap.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (!before(heap[index], heap[parent])) break;
+      [heap[index], heap[parent]] = [heap[parent], heap[index]];
+      index = parent;
+    }
+  }
+
+  function pop() {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+      heap[0] = last;
+      let index = 0;
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+        if (left < heap.length && before(heap[left], heap[smallest])) smallest = left;
+        if (right < heap.length && before(heap[right], heap[smallest])) smallest = right;
+        if (smallest === index) break;
+        [heap[index], heap[smallest]] = [heap[smallest], heap[index]];
+        index = smallest;
+      }
+    }
+    return top;
+  }
+
+  // Drop cancelled or replaced jobs from the top, so the heap's head is always live
+  function peek() {
+    while (heap.length > 0 && jobs.get(heap[0].key) !== heap[0]) {
+      pop();
+    }
+    return heap[0] || null;
+  }
+
+  function arm() {
+    if (armed) {
+      clock.clearTimeout(armed.handle);
+      armed = null;
+    }
+
+    const next = peek();
+    if (!next) return;
+
+    const delay = Math.min(MAX_TIMER_DELAY, Math.max(0, next.at - clock.now()));
+    armed = { at: next.at, handle: clock.setTimeout(run, delay) };
+  }
+
+  function run() {
+    armed = null;
+    const now = clock.now();
+
+    for (let job = peek(); job && job.at <= now; job = peek()) {
+      pop();
+      jobs.delete(job.key);
+      try {
+        job.callback();
+      } catch (error) {
+        console.error(`[scheduler] Job ${job.key} failed:`, error);
+      }
+    }
+
+    arm();
+  }
+
+  function schedule(key, time, callback) {
+    const job = { key, at: time, callback, sequence: sequence++ };
+    jobs.set(key, job);
+    push(job);
+
+    // Only re-arm if this job is now the earliest
+    if (!armed || time < armed.at) arm();
+  }
+
+  function at(key, time, callback) {
+    countdowns.delete(key);
+    schedule(key, time, callback);
+  }
+
+  function cancel(key) {
+    countdowns.delete(key);
+    jobs.delete(key);
+  }
+
+  /**
+   * Count down to endTime: onTick(secondsLeft) on every whole second before it, then onEnd
+   * exactly at endTime. Each tick is placed relative to endTime, so late ticks don't add up.
+   */
+  function countdown(key, endTime, { onTick, onEnd }) {
+    const token = {};
+    countdowns.set(key, token);
+
+    const step = () => {
+      const secondsLeft = Math.ceil((endTime - clock.now()) / 1000) - 1;
+      if (secondsLeft <= 0) {
+        schedule(key, Math.max(endTime, clock.now()), () => {
+          countdowns.delete(key);
+          onEnd();
+        });
+        return;
+      }
+
+      schedule(key, endTime - secondsLeft * 1000, () => {
+        if (onTick) onTick(secondsLeft);
+
+        // onTick may have cancelled or replaced this countdown
+        if (countdowns.get(key) === token) step();
+      });
+    };
+
+    step();
+  }
+
+  return {
+    now: () => clock.now(),
+    // Run callback at an absolute time, replacing any job with the same key
+    at,
+    // Run callback after a delay in milliseconds, replacing any job with the same key
+    after(key, delay, callback) {
+      at(key, clock.now() + delay, callback);
+    },
+    countdown,
+    cancel,
+    has: key => jobs.has(key),
+    // Cancel every job whose key starts with the prefix, e.g. everything for one room
+    cancelAll(prefix) {
+      Array.from(jobs.keys())
+        .filter(key => key.startsWith(prefix))
+        .forEach(cancel);
+    },
+    size: () => jobs.size
+  };
+}
+
+module.exports = {
+  createManualClock,
+  createScheduler
+};
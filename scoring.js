@@ -0,0 +1,165 @@
+const DEFAULT_PROFILE = 'classic';
+
+// Multipliers used by profiles with difficulty weighting
+const DIFFICULTY_WEIGHTS = { easy: 1, medium: 1.5, hard: 2 };
+
+/**
+ * Built-in scoring profiles. Every rule is optional:
+ * - points: 'flat' pays maxPoints for a correct answer, 'time-decay' scales it by the time left
+ * - difficultyWeights: multiplier per question difficulty
+ * - streakStep / streakMax: multiplier gained per consecutive correct answer, and its cap
+ * - firstCorrectBonus: extra points for the fastest correct answer
+ * - wrongPenalty: points taken away for a wrong answer (not answering costs nothing)
+ */
+const SCORING_PROFILES = {
+  classic: {
+    name: 'Classic',
+    description: 'Up to 20 points, fewer the longer you take',
+    points: 'time-decay',
+    maxPoints: 20
+  },
+  flat: {
+    name: 'Flat',
+    description: '10 points for every correct answer, however long you take',
+    points: 'flat',
+    maxPoints: 10
+  },
+  streak: {
+    name: 'Streak',
+    description: 'Time-based points, multiplied by up to 2x for consecutive correct answers',
+    points: 'time-decay',
+    maxPoints: 20,
+    streakStep: 0.25,
+    streakMax: 2
+  },
+  'speed-race': {
+    name: 'Speed race',
+    description: 'Time-based points plus a 10 point bonus for the fastest correct answer',
+    points: 'time-decay',
+    maxPoints: 20,
+    firstCorrectBonus: 10
+  },
+  exam: {
+    name: 'Exam',
+    description: 'Flat points weighted by difficulty, and wrong answers cost 5 points',
+    points: 'flat',
+    maxPoints: 10,
+    difficultyWeights: DIFFICULTY_WEIGHTS,
+    wrongPenalty: 5
+  },
+  challenge: {
+    name: 'Challenge',
+    description: 'Every rule at once - time, difficulty, streaks, a first-correct bonus and wrong-answer penalties',
+    points: 'time-decay',
+    maxPoints: 20,
+    difficultyWeights: DIFFICULTY_WEIGHTS,
+    streakStep: 0.2,
+    streakMax: 2,
+    firstCorrectBonus: 5,
+    wrongPenalty: 5
+  }
+};
+
+function toNonNegativeNumber(value, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+/**
+ * Work out a room's scoring rules from its settings
+ * @param {string|Object} setting - Profile name, or { profile, ...overrides } to adjust a profile's rules
+ * @returns {Object} - Scoring rules, including the id of the profile they're based on
+ */
+function resolveScoringProfile(setting) {
+  const overrides = setting && typeof setting === 'object' ? setting : {};
+  const requested = typeof setting === 'string' ? setting : overrides.profile;
+  const id = SCORING_PROFILES[requested] ? requested : DEFAULT_PROFILE;
+
+  if (requested && id !== requested) {
+    console.warn(`Unknown scoring profile '${requested}', using ${DEFAULT_PROFILE}`);
+  }
+
+  const base = SCORING_PROFILES[id];
+  return {
+    id,
+    points: overrides.points === 'flat' || overrides.points === 'time-decay' ? overrides.points : base.points,
+    maxPoints: toNonNegativeNumber(overrides.maxPoints, base.maxPoints),
+    difficultyWeights: overrides.difficultyWeights === false
+      ? null
+      : (overrides.difficultyWeights === true ? DIFFICULTY_WEIGHTS : base.difficultyWeights || null),
+    streakStep: toNonNegativeNumber(overrides.streakStep, base.streakStep || 0),
+    streakMax: Math.max(1, toNonNegativeNumber(overrides.streakMax, base.streakMax || 1)),
+    firstCorrectBonus: toNonNegativeNumber(overrides.firstCorrectBonus, base.firstCorrectBonus || 0),
+    wrongPenalty: toNonNegativeNumber(overrides.wrongPenalty, base.wrongPenalty || 0)
+  };
+}
+
+/**
+ * Profiles hosts can pick from
+ * @returns {Array} - Array of { id, name, description }
+ */
+function listScoringProfiles() {
+  return Object.entries(SCORING_PROFILES).map(([id, profile]) => ({
+    id,
+    name: profile.name,
+    description: profile.description
+  }));
+}
+
+/**
+ * Score graded answers to one question
+ * @param {Object} rules - Result of resolveScoringProfile
+ * @param {Object} question - Question that just ended, with timeLimit and difficulty
+ * @param {Array} gradedAnswers - Answers from gradeAnswers, with userId, credit, timeRemaining and answeredAt,
+ *   plus teamId for team consensus answers
+ * @param {Object} streaks - Current correct-answer streak per user id
+ * @returns {Array} - One breakdown per answer: { userId, credit, basePoints, difficultyMultiplier,
+ *   streak, streakMultiplier, firstCorrectBonus, penalty, points }
+ */
+function scoreAnswers(rules, question, gradedAnswers, streaks = {}) {
+  const difficultyMultiplier = rules.difficultyWeights
+    ? rules.difficultyWeights[question.difficulty] || 1
+    : 1;
+
+  // Only a fully correct answer can win the first-correct bonus
+  const firstCorrect = gradedAnswers
+    .filter(answer => answer.credit >= 1)
+    .sort((a, b) => a.answeredAt - b.answeredAt)[0];
+
+  return gradedAnswers.map(answer => {
+    const correct = answer.credit >= 1;
+    const streak = correct ? (streaks[answer.userId] || 0) + 1 : 0;
+
+    // The first correct answer in a row earns no streak bonus
+    const streakMultiplier = Math.min(rules.streakMax, 1 + Math.max(0, streak - 1) * rules.streakStep);
+
+    const timeFactor = rules.points === 'time-decay' && question.timeLimit
+      ? Math.min(1, answer.timeRemaining / question.timeLimit)
+      : 1;
+    const basePoints = Math.ceil(rules.maxPoints * timeFactor * answer.credit);
+
+    // A team answering as one wins the bonus for every member, not for one of them
+    const wonBonus = answer === firstCorrect || Boolean(firstCorrect && firstCorrect.teamId && answer.teamId === firstCorrect.teamId);
+    const firstCorrectBonus = wonBonus ? rules.firstCorrectBonus : 0;
+    const penalty = answer.credit === 0 ? rules.wrongPenalty : 0;
+    const points = Math.round(basePoints * difficultyMultiplier * streakMultiplier) + firstCorrectBonus - penalty;
+
+    return {
+      userId: answer.userId,
+      credit: answer.credit,
+      basePoints,
+      difficultyMultiplier,
+      streak,
+      streakMultiplier,
+      firstCorrectBonus,
+      penalty,
+      points
+    };
+  });
+}
+
+module.exports = {
+  listScoringProfiles,
+  resolveScoringProfile,
+  scoreAnswers
+};
@@ -4,32 +4,117 @@ const { Server } = require('socket.io');
 const cors = require('cors');
 const fileUpload = require('express-fileupload');
 const { v4: uuidv4 } = require('uuid');
-const { generateTriviaQuestions } = require('./aiTrivia');
+const { explainQuestion, generateTriviaQuestions } = require('./aiTrivia');
+const { addPack, listPacks, matchesAdminToken, sampleQuestions } = require('./questionBank');
+const { fingerprintQuestion, recordQuestion } = require('./questionHistory');
+const { normalizeQuestionTypes } = require('./questionValidation');
+const { gradeAnswers, readAnswer, revealAnswer, toPublicQuestion } = require('./questionTypes');
+const { listScoringProfiles, resolveScoringProfile, scoreAnswers } = require('./scoring');
+const { addBreakToHistory, createLeaderboardStore, cumulativeStandings, summarizeBreak } = require('./leaderboard');
+const { recordReviewResults, reviewOutcomes, reviewStatus, takeDueQuestions } = require('./spacedRepetition');
+const { REPORT_FORMATS, buildBreakReport, exportReport, resolveReportFormat, summarizeQuestion } = require('./breakReports');
+const { applyTeamConsensus, balanceTeams, describeTeams, findTeam, resolveTeamMode, smallestTeamId, teamStandings } = require('./teams');
+const { createBan, hashPasscode, isBanned, matchesPasscode, resolveCapacity } = require('./roomAccess');
+const { canPerform, resolveTopicSelection, roleOf } = require('./permissions');
+const { MAX_PHASE_SECONDS, cycleStatus, isLongBreak, resolveCyclePlan } = require('./cyclePlans');
+const { createRoomStore } = require('./roomStore');
+const { resolveListing, searchDirectory, summarizeRoom } = require('./roomDirectory');
+const { createScheduler } = require('./scheduler');
+const { MAX_TOPIC_LENGTH, validatePayload } = require('./socketSchemas');
+const { createRateLimiter, eventLimits, providerLimits, routeLimit } = require('./rateLimits');
+const { issueSession, matchesSession } = require('./playerSessions');
+const { extractNotesText } = require('./notesParser');
+const { buildNotesIndex, pickNextChunk, summarizeSections } = require('./notesChunker');
 require('dotenv').config();
 
 // Temporary storage for files before room creation
 const tempFiles = new Map();
 
+// Largest notes file, and how many upload bytes one address may send per hour
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024;
+const UPLOAD_QUOTA_BYTES = (parseInt(process.env.UPLOAD_QUOTA_MB_PER_HOUR, 10) || 200) * 1024 * 1024;
+
+// Most rooms one client (by client id) may have open at once. Addresses get a much higher
+// cap, since a whole class often shares one campus address - it only stops clients that
+// send a new client id for every room.
+const MAX_ROOMS_PER_CLIENT = parseInt(process.env.MAX_ROOMS_PER_CLIENT, 10) || 10;
+const MAX_ROOMS_PER_ADDRESS = parseInt(process.env.MAX_ROOMS_PER_ADDRESS, 10) || 100;
+
+// Behind a reverse proxy the client address comes from X-Forwarded-For
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+
+// Longest client id a browser may identify itself with
+const MAX_CLIENT_ID_LENGTH = 64;
+
 const app = express();
+app.set('trust proxy', TRUST_PROXY);
 app.use(cors());
 app.use(express.json());
-app.use(fileUpload({
-  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB max file size
+
+// Only the upload routes parse files, after their limits have been checked
+const notesUpload = fileUpload({
+  limits: { fileSize: MAX_UPLOAD_BYTES },
   createParentPath: true
-}));
+});
+
+// Token buckets for socket events, REST routes and upload bytes - see rateLimits.js
+const rateLimiter = createRateLimiter();
+
+// Answer a throttled REST request with 429 and when to try again
+function sendThrottled(res, message, retryAfterMs) {
+  const retryAfter = Math.ceil(retryAfterMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ error: `${message} - try again in ${retryAfter}s`, retryAfter });
+}
+
+// Per-address rate limit for a REST route
+function limitRoute(route) {
+  return (req, res, next) => {
+    const retryAfterMs = rateLimiter.take(`address:${req.ip}:route:${route}`, routeLimit(route));
+    if (retryAfterMs) {
+      console.log(`Throttled ${route} from ${req.ip}`);
+      return sendThrottled(res, 'Too many requests', retryAfterMs);
+    }
+    next();
+  };
+}
+
+// Charge an upload against the address's hourly byte quota before the file is read
+function uploadQuota(req, res, next) {
+  const bytes = parseInt(req.get('content-length'), 10) || MAX_UPLOAD_BYTES;
+  const retryAfterMs = rateLimiter.take(`address:${req.ip}:upload-bytes`, {
+    burst: UPLOAD_QUOTA_BYTES,
+    perMinute: UPLOAD_QUOTA_BYTES / 60
+  }, bytes);
+  
+  if (retryAfterMs === Infinity) {
+    return res.status(413).json({ error: 'File is too large' });
+  }
+  if (retryAfterMs) {
+    console.log(`Upload quota used up for ${req.ip}`);
+    return sendThrottled(res, 'Upload quota used up', retryAfterMs);
+  }
+  next();
+}
 
 // Temporary file upload endpoint
-app.post('/api/upload-notes-temp', async (req, res) => {
+app.post('/api/upload-notes-temp', limitRoute('upload-notes'), uploadQuota, notesUpload, async (req, res) => {
   try {
     if (!req.files || !req.files.notes) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
     const file = req.files.notes;
+    if (file.truncated) {
+      return res.status(413).json({ error: 'File is too large' });
+    }
+    
+    const notes = await extractNotesText(file);
     const fileId = uuidv4();
     
-    // Store file content temporarily
-    tempFiles.set(fileId, file.data.toString('utf8'));
+    // Store the extracted text temporarily
+    tempFiles.set(fileId, notes.text);
+    console.log(`Extracted ${notes.text.length} characters of ${notes.format} notes into temp file ${fileId}`);
     
     // Set a timeout to clean up the file after 5 minutes
     setTimeout(() => {
@@ -39,8 +124,17 @@ app.post('/api/upload-notes-temp', async (req, res) => {
       }
     }, 5 * 60 * 1000);
     
-    res.status(200).json({ fileId });
+    res.status(200).json({
+      fileId,
+      format: notes.format,
+      characters: notes.text.length,
+      preview: notes.preview,
+      sections: summarizeSections(buildNotesIndex(notes.text))
+    });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error handling temporary file upload:', error);
     res.status(500).json({ error: 'Server error processing file' });
   }
@@ -55,9 +149,356 @@ const io = new Server(server, {
   }
 });
 
-// Active rooms data (in-memory)
+// Active rooms data (in-memory, mirrored to the room store)
 const activeRooms = {};
 
+// { clientId, address } that created each open room, for the room caps. Rooms also keep them
+// as creatorClientId and creatorAddress, stored but never sent to clients, so the map is
+// rebuilt on restore.
+const roomCreators = new Map();
+
+// Every room's countdowns and delayed steps, keyed by roomId:name - see roomTimer.
+// startServer swaps in a scheduler on an injected clock, e.g. a manual clock in tests.
+let scheduler = createScheduler();
+
+// Scheduler key for one of a room's timers, so closing a room can cancel them all by prefix
+function roomTimer(roomId, name) {
+  return `${roomId}:${name}`;
+}
+
+// How long players get to vote on a topic
+const TOPIC_VOTE_SECONDS = 20;
+
+// Share of each notes batch that can go to spaced-repetition review questions
+const REVIEW_SHARE = 0.4;
+
+// Persistent storage so rooms survive restarts and deploys
+const roomStore = createRoomStore();
+console.log(`Using ${roomStore.name} room store`);
+
+// All-time totals per player, across every room
+const leaderboard = createLeaderboardStore();
+console.log(`Using ${leaderboard.name} leaderboard store`);
+
+// Save the current state of a room to the room store
+function persistRoom(roomId) {
+  const room = activeRooms[roomId];
+  if (!room) return;
+
+  const timers = {
+    study: scheduler.has(roomTimer(roomId, 'study')),
+    break: scheduler.has(roomTimer(roomId, 'break'))
+  };
+
+  roomStore.saveRoom(room, timers).catch(error => {
+    console.error(`Error persisting room ${roomId}:`, error);
+  });
+}
+
+// Remove a closed room from the room store
+function removePersistedRoom(roomId) {
+  roomStore.deleteRoom(roomId).catch(error => {
+    console.error(`Error removing stored room ${roomId}:`, error);
+  });
+}
+
+// How long a disconnected player keeps their seat, score and host role
+const RECONNECT_GRACE_MS = (parseInt(process.env.RECONNECT_GRACE_SECONDS, 10) || 60) * 1000;
+
+// Find the participant currently connected on a socket
+function findParticipantBySocket(room, socketId) {
+  return room.participants.find(p => p.socketId === socketId);
+}
+
+// Find the spectator currently connected on a socket
+function findSpectatorBySocket(room, socketId) {
+  return (room.spectators || []).find(s => s.socketId === socketId);
+}
+
+// Role of whoever is connected on a socket, or null if they aren't in the room
+function socketRole(room, socketId) {
+  const member = findParticipantBySocket(room, socketId) || findSpectatorBySocket(room, socketId);
+  return member ? roleOf(room, member.id) : null;
+}
+
+// Check that a socket belongs to a participant or spectator of the room, so room data is only
+// read by people who got past the passcode and bans
+function isRoomMember(room, socketId) {
+  return Boolean(socketRole(room, socketId));
+}
+
+// Participant or spectator a REST request belongs to, from its "Authorization: Bearer <sessionToken>" header
+function findMemberByRequest(room, req) {
+  const match = /^Bearer (.+)$/.exec(req.get('authorization') || '');
+  if (!match) return null;
+  
+  return room.participants.find(p => matchesSession(p, match[1])) ||
+    (room.spectators || []).find(s => matchesSession(s, match[1])) ||
+    null;
+}
+
+// Check the permissions table for a control event sent from a socket
+function hasPermission(room, socketId, action) {
+  return canPerform(room, socketRole(room, socketId), action);
+}
+
+// Reject a socket request through its acknowledgement callback, with any extra error details
+function ackError(callback, code, message, details = {}) {
+  console.log(`Rejected request: ${code} - ${message}`);
+  callback({ ok: false, error: { code, message, ...details } });
+}
+
+// Address a socket connected from, the same one Express sees as req.ip
+function socketAddress(socket) {
+  const forwarded = TRUST_PROXY && socket.handshake.headers['x-forwarded-for'];
+  return forwarded ? forwarded.split(',')[0].trim() : socket.handshake.address;
+}
+
+// Id the browser keeps across visits and sends when connecting ({ auth: { clientId } }), or null
+function socketClientId(socket) {
+  const clientId = socket.handshake.auth && socket.handshake.auth.clientId;
+  return typeof clientId === 'string' && clientId.trim() && clientId.length <= MAX_CLIENT_ID_LENGTH
+    ? clientId.trim()
+    : null;
+}
+
+// Take a token for an event from the socket's bucket and its address's bucket
+function throttleEvent(socket, event) {
+  const limits = eventLimits(event);
+  return rateLimiter.take(`socket:${socket.id}:${event}`, limits.socket) ||
+    rateLimiter.take(`address:${socketAddress(socket)}:${event}`, limits.address);
+}
+
+// Listen for a client event. Throttled events and payloads that don't match the event's schema
+// are rejected before the handler runs, and the handler always gets a callback - a no-op if the
+// client didn't ask for an acknowledgement - so every reply is { ok: true, ... } or
+// { ok: false, error: { code, message } }.
+function handleEvent(socket, event, handler) {
+  socket.on(event, async (payload, callback) => {
+    const ack = typeof callback === 'function' ? callback : () => {};
+    
+    const retryAfterMs = throttleEvent(socket, event);
+    if (retryAfterMs) {
+      const retryAfter = Math.ceil(retryAfterMs / 1000);
+      ackError(ack, 'RATE_LIMITED', `Too many ${event} requests - try again in ${retryAfter}s`, { retryAfter });
+      return;
+    }
+    
+    const problem = validatePayload(event, payload);
+    if (problem) {
+      ackError(ack, 'INVALID_PAYLOAD', problem);
+      return;
+    }
+    
+    try {
+      await handler(payload, ack);
+    } catch (error) {
+      console.error(`Error handling ${event} from ${socket.id}:`, error);
+      ackError(ack, 'SERVER_ERROR', 'Something went wrong handling that request');
+    }
+  });
+}
+
+// Scores for the score-update event, with each player's breakdown for the question that just ended
+function getScoreboard(room, breakdowns = []) {
+  return room.participants.map(p => ({
+    userId: p.id,
+    username: p.username,
+    score: p.score,
+    streak: p.streak || 0,
+    breakdown: breakdowns.find(entry => entry.userId === p.id) || null
+  }));
+}
+
+// Team standings sent alongside individual scores, or null when the room plays free-for-all
+function getTeamStandings(room) {
+  return room.teamMode ? teamStandings(room.teamMode, room.participants) : null;
+}
+
+// Team a new participant starts on - only auto mode places players by itself
+function initialTeamId(room, requestedTeamId) {
+  if (!room.teamMode) return null;
+  if (room.teamMode.assignment === 'auto') return smallestTeamId(room.teamMode, room.participants);
+  if (room.teamMode.assignment === 'choose' && findTeam(room.teamMode, requestedTeamId)) return requestedTeamId;
+  return null;
+}
+
+// Tell everyone in the room about a change to the teams
+function emitTeamsUpdated(roomId) {
+  const room = activeRooms[roomId];
+  if (!room) return;
+  
+  io.to(roomId).emit('teams-updated', describeTeams(room.teamMode, room.participants));
+  io.to(roomId).emit('score-update', getScoreboard(room), getTeamStandings(room));
+}
+
+// Payload for timer-update, with where the room is in its cycle plan
+function getTimerUpdate(room, timeLeft, isRunning) {
+  return {
+    timeLeft,
+    isRunning,
+    cycle: cycleStatus(room)
+  };
+}
+
+// Length of the current break - every Nth break is a long one if the plan has them
+function getBreakLength(room) {
+  return room.onLongBreak && room.cyclePlan && room.cyclePlan.longBreakTime
+    ? room.cyclePlan.longBreakTime
+    : room.settings.breakTime;
+}
+
+// Take a token for a paid provider call from the room's bucket and the server-wide one
+function allowProviderCall(roomId, call) {
+  const limits = providerLimits(call);
+  return rateLimiter.take(`room:${roomId}:${call}`, limits.room) === 0 &&
+    rateLimiter.take(`server:${call}`, limits.server) === 0;
+}
+
+// Seconds left in the room's current phase - a running break counts down from its end time,
+// everything else is kept up to date in timerValue
+function getTimeLeft(room) {
+  return room.currentMode === 'trivia' && scheduler.has(roomTimer(room.id, 'break'))
+    ? Math.max(0, Math.ceil((room.breakEndTime - scheduler.now()) / 1000))
+    : room.timerValue;
+}
+
+// Room data safe to send to clients. Fields are listed one by one so nothing new leaks by default -
+// answers of upcoming questions, pending answers, review schedules, the notes text and the
+// session token and passcode hashes all stay on the server
+function getRoomSnapshot(room) {
+  const currentQuestion = room.triviaQuestions[room.currentQuestionIndex];
+
+  return {
+    id: room.id,
+    name: room.name,
+    host: room.host,
+    participants: room.participants.map(participant => ({
+      id: participant.id,
+      username: participant.username,
+      isHost: participant.isHost,
+      connected: participant.connected,
+      score: participant.score,
+      streak: participant.streak,
+      teamId: participant.teamId,
+      role: roleOf(room, participant.id)
+    })),
+    spectators: (room.spectators || []).map(spectator => ({
+      id: spectator.id,
+      username: spectator.username,
+      connected: spectator.connected,
+      role: 'spectator'
+    })),
+    settings: room.settings,
+    hasPasscode: Boolean(room.passcodeHash),
+    maxParticipants: room.maxParticipants,
+    bannedPlayers: (room.bannedPlayers || []).map(({ playerId, username }) => ({ playerId, username })),
+    listing: room.listing,
+    topicSelection: room.topicSelection,
+    topicVote: room.topicVote
+      ? { votes: Object.keys(room.topicVote.votes).length, endsAt: room.topicVote.endsAt }
+      : null,
+    currentMode: room.currentMode,
+    timerRunning: room.timerRunning,
+    timerValue: room.timerValue,
+    cyclePlan: room.cyclePlan,
+    cycle: room.cycle,
+    onLongBreak: room.onLongBreak,
+    planCompleted: room.planCompleted,
+    triviaCategory: room.triviaCategory,
+    triviaDifficulty: room.triviaDifficulty,
+    triviaTimeLimit: room.triviaTimeLimit,
+    playTrivia: room.playTrivia,
+    triviaPaused: room.triviaPaused,
+    breakEndTime: room.breakEndTime,
+    currentQuestionIndex: room.currentQuestionIndex,
+    currentQuestion: currentQuestion ? toPublicQuestion(currentQuestion) : null,
+    questionDeadline: room.questionDeadline || null,
+    questionTypes: room.questionTypes,
+    scoring: room.scoring,
+    teamMode: room.teamMode,
+    breakCount: room.breakCount,
+    isUsingNotes: room.isUsingNotes,
+    hasNotes: Boolean(room.studyNotesContent),
+    selectedNoteSections: room.selectedNoteSections
+  };
+}
+
+// Take a participant out of the room at the host's request, telling their socket why
+function expelParticipant(roomId, participant, reason) {
+  const target = participant.socketId && io.sockets.sockets.get(participant.socketId);
+  if (target) {
+    target.emit('removed-from-room', { roomId, reason });
+    target.leave(roomId);
+  }
+  
+  removeParticipant(roomId, participant.id);
+}
+
+// Remove a participant for good, handing over the host role or closing the room if needed
+function removeParticipant(roomId, playerId) {
+  const room = activeRooms[roomId];
+  if (!room) return;
+  
+  cancelParticipantRemoval(roomId, playerId);
+  
+  // Spectators hold no score or role, so they just go
+  const spectatorIndex = (room.spectators || []).findIndex(s => s.id === playerId);
+  if (spectatorIndex !== -1) {
+    const [spectator] = room.spectators.splice(spectatorIndex, 1);
+    console.log(`Removed spectator ${spectator.username} (${playerId}) from room ${roomId}`);
+    persistRoom(roomId);
+    io.to(roomId).emit('room-updated', getRoomSnapshot(room));
+    return;
+  }
+  
+  const participantIndex = room.participants.findIndex(p => p.id === playerId);
+  if (participantIndex === -1) return;
+  
+  const [removed] = room.participants.splice(participantIndex, 1);
+  console.log(`Removed ${removed.username} (${playerId}) from room ${roomId}`);
+  
+  // If host leaves, assign a new host or close the room
+  if (playerId === room.host) {
+    if (room.participants.length > 0) {
+      // Prefer a connected co-host, then anyone who is actually connected right now
+      const newHost = room.participants.find(p => p.connected && p.role === 'co-host') ||
+        room.participants.find(p => p.connected) ||
+        room.participants[0];
+      newHost.isHost = true;
+      newHost.role = 'player';
+      room.host = newHost.id;
+      console.log(`New host assigned: ${newHost.username}`);
+    } else {
+      // Close the room if no participants remain
+      console.log(`Closing empty room: ${roomId}`);
+      scheduler.cancelAll(roomTimer(roomId, '')); // Every countdown, deadline, vote and pending removal
+      io.to(roomId).emit('room-closed', { roomId }); // Spectators may still be watching
+      delete activeRooms[roomId];
+      roomCreators.delete(roomId);
+      removePersistedRoom(roomId);
+      return;
+    }
+  }
+  
+  persistRoom(roomId);
+  
+  // Notify remaining participants
+  io.to(roomId).emit('room-updated', getRoomSnapshot(room));
+}
+
+// Give a disconnected participant the grace window to come back before removing them
+function scheduleParticipantRemoval(roomId, playerId, delay = RECONNECT_GRACE_MS) {
+  scheduler.after(roomTimer(roomId, `reconnect:${playerId}`), delay, () => {
+    console.log(`Reconnect grace period expired for ${playerId} in room ${roomId}`);
+    removeParticipant(roomId, playerId);
+  });
+}
+
+function cancelParticipantRemoval(roomId, playerId) {
+  scheduler.cancel(roomTimer(roomId, `reconnect:${playerId}`));
+}
+
 // Helper function to generate room ID
 function generateRoomId() {
   const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
@@ -71,247 +512,950 @@ function generateRoomId() {
 // Socket.io connection handlers
 io.on('connection', (socket) => {
   console.log('User connected:', socket.id);
+  const clientId = socketClientId(socket);
+  
+  // Create a new room
+  handleEvent(socket, 'create-room', async (data, callback) => {
+    const address = socketAddress(socket);
+    const creators = Array.from(roomCreators.values());
+    const clientRooms = clientId ? creators.filter(creator => creator.clientId === clientId).length : 0;
+    const addressRooms = creators.filter(creator => creator.address === address).length;
+    if (clientRooms >= MAX_ROOMS_PER_CLIENT || addressRooms >= MAX_ROOMS_PER_ADDRESS) {
+      const openRooms = clientRooms >= MAX_ROOMS_PER_CLIENT ? clientRooms : addressRooms;
+      ackError(callback, 'TOO_MANY_ROOMS', `You already have ${openRooms} open rooms - close one before creating another`);
+      return;
+    }
+    
+    const roomId = generateRoomId();
+    const session = issueSession();
+    
+    // The passcode is only kept hashed, never in the room's settings
+    const { passcode, ...settings } = data.settings;
+    
+    const user = {
+      id: session.playerId,
+      socketId: socket.id,
+      sessionTokenHash: session.sessionTokenHash,
+      clientId,
+      username: data.host.username,
+      isHost: true,
+      connected: true,
+      score: 0,
+      streak: 0,
+      teamId: null,
+      role: 'player'                   // host is room.host; others are 'co-host' or 'player'
+    };
+    
+    const room = {
+      id: roomId,
+      name: data.roomName,
+      host: session.playerId,
+      participants: [user],
+      spectators: [],                  // Watch everything, but never answer or score
+      settings,
+      passcodeHash: hashPasscode(passcode),         // Salted hash of the room passcode, null for open rooms
+      maxParticipants: resolveCapacity(data.settings.maxParticipants), // null for no limit
+      creatorClientId: clientId,       // Count toward the creator's room caps, never sent to clients
+      creatorAddress: address,
+      bannedPlayers: [],               // Bans last for the room's lifetime
+      listing: resolveListing(data.listing), // Public directory entry - rooms are private unless listed
+      topicSelection: resolveTopicSelection(data.settings.topicSelection), // Who picks each break's topic
+      topicVote: null,                 // { votes, endsAt } while players vote on a topic
+      currentMode: 'study',
+      timerRunning: false,
+      timerValue: data.settings.studyTime,
+      cyclePlan: resolveCyclePlan(data.settings), // Long breaks, planned cycles and auto-start
+      cycle: 1,                        // Current study + break cycle, counting from 1
+      onLongBreak: false,
+      planCompleted: false,            // Set once every planned cycle has been played
+      triviaCategory: data.triviaCategory || 'General Knowledge', 
+      triviaQuestions: [],
+      currentQuestionIndex: -1,
+      breakEndTime: null,              
+      inactivityCount: 0,              
+      questionActivityTimestamp: null, 
+      questionHasActivity: false,      
+      triviaPaused: false,             
+      pendingAnswers: [],              
+      playTrivia: data.playTrivia !== undefined ? data.playTrivia : true, 
+      triviaDifficulty: data.triviaDifficulty || 'medium', 
+      lastTriviaCategory: data.triviaCategory || 'General Knowledge',
+      hasHadFirstTriviaRound: false,
+      triviaTimeLimit: data.triviaTimeLimit || 10, // Store the custom time limit
+      questionTypes: normalizeQuestionTypes(data.questionTypes), // Question types the generator may produce
+      scoring: resolveScoringProfile(data.settings.scoringProfile), // Scoring rules picked by the host
+      teamMode: resolveTeamMode(data.settings.teams), // Teams and how players get on them, null for free-for-all
+      resumingFromInactivity: false,
+      nextBatchQuestions: null,        // Store the next batch of questions
+      questionHistory: [],             // Fingerprints of asked questions, to avoid repeats across batches
+      breakHistory: [],                // Scores of every trivia break, for cumulative standings
+      breakCount: 0,
+      currentBreak: null,              // { number, startedAt } while a trivia break is being played
+      reviewItems: {},                 // Missed notes questions and each player's review schedule
+      isRegeneratingQuestions: false,  // Flag to track background regeneration
+      studyNotesContent: null,
+      notesIndex: null,                // Sections and chunks of the notes, as offsets
+      notesChunkCursor: 0,             // Rotation position over the notes chunks
+      selectedNoteSections: [],        // Section ids the host limited generation to (empty = all)
+      isUsingNotes: !!data.fileId
+    };
+    
+    if (data.fileId && tempFiles.has(data.fileId)) {
+      setRoomNotes(room, tempFiles.get(data.fileId));
+    }
+    
+    // If this was created with a file, clean up the temporary storage
+    if (data.fileId && tempFiles.has(data.fileId)) {
+      tempFiles.delete(data.fileId);
+    }
+    
+    user.teamId = initialTeamId(room, data.teamId);
+    
+    console.log(`Creating room with trivia time limit: ${room.triviaTimeLimit} seconds`);
+    
+    activeRooms[roomId] = room;
+    roomCreators.set(roomId, { clientId, address });
+    socket.join(roomId);
+    persistRoom(roomId);
+    
+    callback({
+      ok: true,
+      roomId,
+      playerId: session.playerId,
+      sessionToken: session.sessionToken
+    });
+  });
+  
+  // Join an existing room
+  handleEvent(socket, 'join-room', (data, callback) => {
+    const { roomId, user } = data;
+    
+    // Only the room and name - the payload also carries the passcode and any old session token
+    console.log(`Join room request received: room=${roomId}, username=${user.username}`);
+    const room = activeRooms[roomId];
+    
+    if (!room) {
+      ackError(callback, 'ROOM_NOT_FOUND', `Room ${roomId} not found`);
+      return;
+    }
+    
+    // A previous sessionToken for the room is only used to recognise banned players
+    if (isBanned(room.bannedPlayers, { clientId, sessionToken: data.sessionToken, username: user.username })) {
+      ackError(callback, 'BANNED', 'You have been banned from this room');
+      return;
+    }
+    
+    if (room.passcodeHash && !data.passcode) {
+      ackError(callback, 'PASSCODE_REQUIRED', 'This room needs a passcode');
+      return;
+    }
+    
+    if (room.passcodeHash && !matchesPasscode(room.passcodeHash, data.passcode)) {
+      ackError(callback, 'WRONG_PASSCODE', 'That passcode is not right');
+      return;
+    }
+    
+    // Spectators only watch - they take no seat and get no score
+    if (data.spectator) {
+      const session = issueSession();
+      const spectator = {
+        id: session.playerId,
+        socketId: socket.id,
+        sessionTokenHash: session.sessionTokenHash,
+        clientId,
+        username: user.username,
+        connected: true
+      };
+      
+      console.log(`Adding spectator to room: ${spectator.username} (${spectator.id})`);
+      room.spectators = room.spectators || [];
+      room.spectators.push(spectator);
+      socket.join(roomId);
+      persistRoom(roomId);
+      
+      io.to(roomId).emit('room-updated', getRoomSnapshot(room));
+      callback({
+        ok: true,
+        playerId: session.playerId,
+        sessionToken: session.sessionToken,
+        spectator: true
+      });
+      return;
+    }
+    
+    // Disconnected players still hold their seat during the grace period
+    if (room.maxParticipants && room.participants.length >= room.maxParticipants) {
+      ackError(callback, 'ROOM_FULL', `This room is full (${room.maxParticipants} participants)`);
+      return;
+    }
+    
+    const session = issueSession();
+    const newUser = {
+      id: session.playerId,
+      socketId: socket.id,
+      sessionTokenHash: session.sessionTokenHash,
+      clientId,
+      username: user.username,
+      isHost: false,
+      connected: true,
+      score: 0,
+      streak: 0,
+      teamId: initialTeamId(room, data.teamId),
+      role: 'player'
+    };
+    
+    console.log(`Adding user to room: ${newUser.username} (${newUser.id})`);
+    room.participants.push(newUser);
+    socket.join(roomId);
+    persistRoom(roomId);
+    
+    io.to(roomId).emit('room-updated', getRoomSnapshot(room));
+    callback({
+      ok: true,
+      playerId: session.playerId,
+      sessionToken: session.sessionToken
+    });
+  });
+  
+  // Rejoin a room after a dropped connection, restoring the same participant record
+  handleEvent(socket, 'rejoin-room', (data, callback) => {
+    const { roomId, sessionToken } = data;
+    const room = activeRooms[roomId];
+    
+    if (!room) {
+      ackError(callback, 'ROOM_NOT_FOUND', `Room ${roomId} not found`);
+      return;
+    }
+    
+    const participant = room.participants.find(p => matchesSession(p, sessionToken)) ||
+      (room.spectators || []).find(s => matchesSession(s, sessionToken));
+    
+    if (!participant) {
+      ackError(callback, 'UNKNOWN_SESSION', `No seat in room ${roomId} for that session`);
+      return;
+    }
+    
+    if (isBanned(room.bannedPlayers, { playerId: participant.id, clientId })) {
+      ackError(callback, 'BANNED', 'You have been banned from this room');
+      return;
+    }
+    
+    cancelParticipantRemoval(roomId, participant.id);
+    
+    participant.socketId = socket.id;
+    participant.connected = true;
+    participant.disconnectedAt = null;
+    socket.join(roomId);
+    persistRoom(roomId);
+    
+    console.log(`${participant.username} (${participant.id}) rejoined room ${roomId}`);
+    io.to(roomId).emit('room-updated', getRoomSnapshot(room));
+    
+    // Bring the rejoining client up to date with the room state
+    socket.emit('mode-changed', room.currentMode);
+    socket.emit('timer-update', getTimerUpdate(room, getTimeLeft(room), room.timerRunning));
+    socket.emit('score-update', getScoreboard(room), getTeamStandings(room));
+    
+    callback({
+      ok: true,
+      playerId: participant.id,
+      isHost: participant.id === room.host,
+      spectator: !room.participants.includes(participant)
+    });
+  });
+  
+  // Get room data
+  handleEvent(socket, 'get-room', (roomId, callback) => {
+    const room = activeRooms[roomId];
+    
+    if (!room) {
+      ackError(callback, 'ROOM_NOT_FOUND', `Room ${roomId} not found`);
+      return;
+    }
+    
+    if (!isRoomMember(room, socket.id)) {
+      ackError(callback, 'NOT_IN_ROOM', `You are not in room ${roomId}`);
+      return;
+    }
+    
+    callback({ ok: true, room: getRoomSnapshot(room) });
+  });
+  
+  // List the sections of the room's study notes
+  handleEvent(socket, 'get-note-sections', (roomId, callback) => {
+    const room = activeRooms[roomId];
+    
+    if (!room) {
+      ackError(callback, 'ROOM_NOT_FOUND', `Room ${roomId} not found`);
+      return;
+    }
+    
+    if (!isRoomMember(room, socket.id)) {
+      ackError(callback, 'NOT_IN_ROOM', `You are not in room ${roomId}`);
+      return;
+    }
+    
+    if (!room.studyNotesContent) {
+      callback({ ok: true, sections: [], selected: [] });
+      return;
+    }
+    
+    callback({
+      ok: true,
+      sections: summarizeSections(ensureNotesIndex(room)),
+      selected: room.selectedNoteSections
+    });
+  });
+  
+  // Limit notes-based questions to some sections of the notes
+  handleEvent(socket, 'select-note-sections', ({ roomId, sectionIds }, callback) => {
+    const room = activeRooms[roomId];
+    
+    if (!room) {
+      ackError(callback, 'ROOM_NOT_FOUND', `Room ${roomId} not found`);
+      return;
+    }
+    
+    if (!hasPermission(room, socket.id, 'select-note-sections')) {
+      ackError(callback, 'NOT_ALLOWED', 'Only hosts can choose note sections');
+      return;
+    }
+    
+    selectNoteSections(room, Array.isArray(sectionIds) ? sectionIds : []);
+    persistRoom(roomId);
+    
+    io.to(roomId).emit('note-sections-selected', room.selectedNoteSections);
+    callback({ ok: true, sectionIds: room.selectedNoteSections });
+  });
+  
+  // Report for a finished break, as a JSON object or exported CSV/Markdown text
+  handleEvent(socket, 'get-break-report', ({ roomId, breakNumber, format } = {}, callback) => {
+    const room = activeRooms[roomId];
+    
+    if (!room) {
+      ackError(callback, 'ROOM_NOT_FOUND', `Room ${roomId} not found`);
+      return;
+    }
+    
+    if (!isRoomMember(room, socket.id)) {
+      ackError(callback, 'NOT_IN_ROOM', `You are not in room ${roomId}`);
+      return;
+    }
+    
+    const reportFormat = resolveReportFormat(format);
+    if (!reportFormat) {
+      ackError(callback, 'UNSUPPORTED_FORMAT', `Use one of: ${REPORT_FORMATS.join(', ')}`);
+      return;
+    }
+    
+    const breakEntry = findBreakEntry(room, breakNumber);
+    if (!breakEntry || !breakEntry.questions) {
+      ackError(callback, 'REPORT_NOT_FOUND', 'No report for that break');
+      return;
+    }
+    
+    const report = buildBreakReport(room, breakEntry);
+    if (reportFormat === 'json') {
+      callback({ ok: true, format: reportFormat, report });
+    } else {
+      const { content, fileName } = exportReport(report, reportFormat);
+      callback({ ok: true, format: reportFormat, fileName, content });
+    }
+  });
+  
+  // How many review questions each player has due in notes mode
+  handleEvent(socket, 'get-review-status', (roomId, callback) => {
+    const room = activeRooms[roomId];
+    
+    if (!room) {
+      ackError(callback, 'ROOM_NOT_FOUND', `Room ${roomId} not found`);
+      return;
+    }
+    
+    if (!isRoomMember(room, socket.id)) {
+      ackError(callback, 'NOT_IN_ROOM', `You are not in room ${roomId}`);
+      return;
+    }
+    
+    callback({ ok: true, ...getReviewStatus(room) });
+  });
+  
+  // Choose which question types the room's generator produces
+  handleEvent(socket, 'set-question-types', ({ roomId, questionTypes }, callback) => {
+    const room = activeRooms[roomId];
+    
+    if (!room) {
+      ackError(callback, 'ROOM_NOT_FOUND', `Room ${roomId} not found`);
+      return;
+    }
+    
+    if (!hasPermission(room, socket.id, 'set-question-types')) {
+      ackError(callback, 'NOT_ALLOWED', 'Only hosts can choose question types');
+      return;
+    }
+    
+    room.questionTypes = normalizeQuestionTypes(questionTypes);
+    
+    // A batch generated for the old types would otherwise play first
+    room.nextBatchQuestions = null;
+    persistRoom(roomId);
+    
+    console.log(`Room ${roomId} question types set to: ${room.questionTypes.join(', ')}`);
+    io.to(roomId).emit('question-types-updated', room.questionTypes);
+    callback({ ok: true, questionTypes: room.questionTypes });
+  });
+  
+  // Change the room passcode (null removes it) or the participant limit (null for no limit)
+  handleEvent(socket, 'set-room-access', ({ roomId, passcode, maxParticipants } = {}, callback) => {
+    const room = activeRooms[roomId];
+    
+    if (!room) {
+      ackError(callback, 'ROOM_NOT_FOUND', `Room ${roomId} not found`);
+      return;
+    }
+    
+    if (!hasPermission(room, socket.id, 'set-room-access')) {
+      ackError(callback, 'NOT_ALLOWED', 'Only the host can change who may join');
+      return;
+    }
+    
+    // Leaving a field out keeps its current value - players already in the room stay
+    if (passcode !== undefined) {
+      room.passcodeHash = hashPasscode(passcode);
+    }
+    if (maxParticipants !== undefined) {
+      room.maxParticipants = resolveCapacity(maxParticipants);
+    }
+    persistRoom(roomId);
+    
+    io.to(roomId).emit('room-updated', getRoomSnapshot(room));
+    callback({ ok: true, hasPasscode: Boolean(room.passcodeHash), maxParticipants: room.maxParticipants });
+  });
+  
+  // List the room in the public directory, or take it out, with a description and subject tags.
+  // Fields left out keep their current value.
+  handleEvent(socket, 'set-room-listing', ({ roomId, ...changes }, callback) => {
+    const room = activeRooms[roomId];
+    
+    if (!room) {
+      ackError(callback, 'ROOM_NOT_FOUND', `Room ${roomId} not found`);
+      return;
+    }
+    
+    if (!hasPermission(room, socket.id, 'set-room-listing')) {
+      ackError(callback, 'NOT_ALLOWED', 'Only the host can list the room');
+      return;
+    }
+    
+    room.listing = resolveListing({ ...room.listing, ...changes });
+    persistRoom(roomId);
+    
+    console.log(`Room ${roomId} is ${room.listing.public ? 'listed in' : 'not in'} the public directory`);
+    io.to(roomId).emit('room-updated', getRoomSnapshot(room));
+    callback({ ok: true, listing: room.listing });
+  });
+  
+  // Remove a participant - they may join again unless they are also banned
+  handleEvent(socket, 'kick-participant', ({ roomId, playerId } = {}, callback) => {
+    const room = activeRooms[roomId];
+    
+    if (!room) {
+      ackError(callback, 'ROOM_NOT_FOUND', `Room ${roomId} not found`);
+      return;
+    }
+    
+    if (!hasPermission(room, socket.id, 'kick-participant')) {
+      ackError(callback, 'NOT_ALLOWED', 'Only hosts can remove participants');
+      return;
+    }
+    
+    const participant = room.participants.find(p => p.id === playerId) ||
+      (room.spectators || []).find(spectator => spectator.id === playerId);
+    if (!participant) {
+      ackError(callback, 'PLAYER_NOT_FOUND', `Player ${playerId} is not in room ${roomId}`);
+      return;
+    }
+    
+    if (participant.id === room.host) {
+      ackError(callback, 'CANNOT_REMOVE_HOST', 'Transfer the host role before leaving');
+      return;
+    }
+    
+    // Co-hosts can only remove players and spectators
+    if (socketRole(room, socket.id) === 'co-host' && roleOf(room, participant.id) === 'co-host') {
+      ackError(callback, 'NOT_ALLOWED', 'Only the host can remove a co-host');
+      return;
+    }
+    
+    console.log(`Host kicked ${participant.username} (${playerId}) from room ${roomId}`);
+    expelParticipant(roomId, participant, 'kicked');
+    callback({ ok: true, playerId });
+  });
+  
+  // Remove a participant and keep them out for the rest of the room's lifetime
+  handleEvent(socket, 'ban-participant', ({ roomId, playerId } = {}, callback) => {
+    const room = activeRooms[roomId];
+    
+    if (!room) {
+      ackError(callback, 'ROOM_NOT_FOUND', `Room ${roomId} not found`);
+      return;
+    }
+    
+    if (!hasPermission(room, socket.id, 'ban-participant')) {
+      ackError(callback, 'NOT_ALLOWED', 'Only the host can ban participants');
+      return;
+    }
+    
+    const participant = room.participants.find(p => p.id === playerId) ||
+      (room.spectators || []).find(spectator => spectator.id === playerId);
+    if (!participant) {
+      ackError(callback, 'PLAYER_NOT_FOUND', `Player ${playerId} is not in room ${roomId}`);
+      return;
+    }
+    
+    if (participant.id === room.host) {
+      ackError(callback, 'CANNOT_REMOVE_HOST', 'The host cannot be banned');
+      return;
+    }
+    
+    room.bannedPlayers = room.bannedPlayers || [];
+    room.bannedPlayers.push(createBan(participant));
+    
+    console.log(`Host banned ${participant.username} (${playerId}) from room ${roomId}`);
+    expelParticipant(roomId, participant, 'banned');
+    callback({ ok: true, playerId });
+  });
+  
+  // Hand the host role to another participant
+  handleEvent(socket, 'transfer-host', ({ roomId, playerId } = {}, callback) => {
+    const room = activeRooms[roomId];
+    
+    if (!room) {
+      ackError(callback, 'ROOM_NOT_FOUND', `Room ${roomId} not found`);
+      return;
+    }
+    
+    if (!hasPermission(room, socket.id, 'transfer-host')) {
+      ackError(callback, 'NOT_ALLOWED', 'Only the host can hand over the host role');
+      return;
+    }
+    
+    const newHost = room.participants.find(p => p.id === playerId);
+    if (!newHost) {
+      ackError(callback, 'PLAYER_NOT_FOUND', `Player ${playerId} is not in room ${roomId}`);
+      return;
+    }
+    
+    if (!newHost.connected) {
+      ackError(callback, 'PLAYER_DISCONNECTED', `${newHost.username} is not connected right now`);
+      return;
+    }
+    
+    // The old host stays on as a co-host so they keep the controls
+    room.participants.forEach(p => {
+      if (p.id === room.host) p.role = 'co-host';
+      p.isHost = p.id === newHost.id;
+    });
+    newHost.role = 'player';
+    room.host = newHost.id;
+    persistRoom(roomId);
+    
+    console.log(`Room ${roomId} host is now ${newHost.username} (${newHost.id})`);
+    io.to(roomId).emit('host-changed', { hostId: newHost.id, username: newHost.username });
+    io.to(roomId).emit('room-updated', getRoomSnapshot(room));
+    callback({ ok: true, hostId: newHost.id });
+  });
+  
+  // Promote a participant to co-host, or back to player
+  handleEvent(socket, 'set-role', ({ roomId, playerId, role } = {}, callback) => {
+    const room = activeRooms[roomId];
+    
+    if (!room) {
+      ackError(callback, 'ROOM_NOT_FOUND', `Room ${roomId} not found`);
+      return;
+    }
+    
+    if (!hasPermission(room, socket.id, 'set-role')) {
+      ackError(callback, 'NOT_ALLOWED', 'Only the host can change roles');
+      return;
+    }
+    
+    if (role !== 'co-host' && role !== 'player') {
+      ackError(callback, 'INVALID_ROLE', 'Role must be co-host or player - use transfer-host to hand over the host role');
+      return;
+    }
+    
+    const participant = room.participants.find(p => p.id === playerId);
+    if (!participant || participant.id === room.host) {
+      ackError(callback, 'PLAYER_NOT_FOUND', `Player ${playerId} is not a participant in room ${roomId}`);
+      return;
+    }
+    
+    participant.role = role;
+    persistRoom(roomId);
+    
+    console.log(`${participant.username} (${playerId}) is now a ${role} in room ${roomId}`);
+    io.to(roomId).emit('role-changed', { playerId, role });
+    io.to(roomId).emit('room-updated', getRoomSnapshot(room));
+    callback({ ok: true, playerId, role });
+  });
+  
+  // Choose who picks the topic for each break: hosts, players, or a vote
+  handleEvent(socket, 'set-topic-selection', ({ roomId, mode } = {}, callback) => {
+    const room = activeRooms[roomId];
+    
+    if (!room) {
+      ackError(callback, 'ROOM_NOT_FOUND', `Room ${roomId} not found`);
+      return;
+    }
+    
+    if (!hasPermission(room, socket.id, 'set-topic-selection')) {
+      ackError(callback, 'NOT_ALLOWED', 'Only the host can change how topics are picked');
+      return;
+    }
+    
+    if (resolveTopicSelection(mode) !== mode) {
+      ackError(callback, 'INVALID_MODE', 'Topic selection must be hosts, players or vote');
+      return;
+    }
+    
+    room.topicSelection = mode;
+    persistRoom(roomId);
+    
+    io.to(roomId).emit('topic-selection-updated', { topicSelection: mode });
+    callback({ ok: true, topicSelection: mode });
+  });
+  
+  // Vote for the next topic while a topic vote is open
+  handleEvent(socket, 'vote-topic', ({ roomId, topic, useNotes = false } = {}, callback) => {
+    const room = activeRooms[roomId];
+    
+    if (!room) {
+      ackError(callback, 'ROOM_NOT_FOUND', `Room ${roomId} not found`);
+      return;
+    }
+    
+    if (!hasPermission(room, socket.id, 'vote-topic')) {
+      ackError(callback, 'NOT_ALLOWED', 'Spectators cannot vote');
+      return;
+    }
+    
+    if (!room.topicVote) {
+      ackError(callback, 'NO_TOPIC_VOTE', 'There is no topic vote open right now');
+      return;
+    }
+    
+    if (useNotes ? !room.studyNotesContent : (typeof topic !== 'string' || !topic.trim() || topic.length > MAX_TOPIC_LENGTH)) {
+      ackError(callback, 'INVALID_VOTE', useNotes ? 'This room has no study notes' : 'Vote for a topic name');
+      return;
+    }
+    
+    const voter = findParticipantBySocket(room, socket.id);
+    room.topicVote.votes[voter.id] = { topic: useNotes ? 'Study Notes' : topic.trim(), useNotes: Boolean(useNotes) };
+    persistRoom(roomId);
+    
+    const voters = room.participants.filter(p => p.connected);
+    io.to(roomId).emit('topic-vote-updated', {
+      tally: tallyTopicVotes(room.topicVote),
+      votes: Object.keys(room.topicVote.votes).length,
+      voters: voters.length,
+      endsAt: room.topicVote.endsAt
+    });
+    callback({ ok: true });
+    
+    // No need to wait out the timer once everyone has voted
+    if (voters.every(p => room.topicVote.votes[p.id])) {
+      finishTopicVote(roomId);
+    }
+  });
+  
+  // Change the cycle plan mid-session - the new lengths apply from the next phase
+  handleEvent(socket, 'set-cycle-plan', ({ roomId, ...plan } = {}, callback) => {
+    const room = activeRooms[roomId];
+    
+    if (!room) {
+      ackError(callback, 'ROOM_NOT_FOUND', `Room ${roomId} not found`);
+      return;
+    }
+    
+    if (!hasPermission(room, socket.id, 'set-cycle-plan')) {
+      ackError(callback, 'NOT_ALLOWED', 'Only hosts can change the cycle plan');
+      return;
+    }
+    
+    const lengths = ['studyTime', 'breakTime', 'longBreakTime'].filter(field => plan[field] !== undefined && plan[field] !== null);
+    const badLength = lengths.find(field => !(Number.isInteger(plan[field]) && plan[field] > 0 && plan[field] <= MAX_PHASE_SECONDS));
+    if (badLength) {
+      ackError(callback, 'INVALID_PLAN', `${badLength} must be a whole number of seconds between 1 and ${MAX_PHASE_SECONDS}`);
+      return;
+    }
+    
+    const wasFullStudyPhase = room.currentMode === 'study' && !room.timerRunning && room.timerValue === room.settings.studyTime;
+    
+    ['studyTime', 'breakTime', 'longBreakTime', 'longBreakEvery', 'totalCycles', 'autoStart'].forEach(field => {
+      if (plan[field] !== undefined) {
+        room.settings[field] = plan[field];
+      }
+    });
+    room.cyclePlan = resolveCyclePlan(room.settings);
+    
+    // A study phase that hasn't started yet takes the new length straight away
+    if (wasFullStudyPhase) {
+      room.timerValue = room.settings.studyTime;
+    }
+    
+    // More planned cycles pick up where the plan left off
+    if (room.planCompleted && (!room.cyclePlan.totalCycles || room.cyclePlan.totalCycles > room.cycle)) {
+      room.planCompleted = false;
+      room.cycle += 1;
+    }
+    persistRoom(roomId);
+    
+    const status = cycleStatus(room);
+    io.to(roomId).emit('cycle-plan-updated', {
+      studyTime: room.settings.studyTime,
+      breakTime: room.settings.breakTime,
+      ...room.cyclePlan,
+      status
+    });
+    io.to(roomId).emit('timer-update', getTimerUpdate(room, room.timerValue, room.timerRunning));
+    callback({ ok: true, status });
+  });
+  
+  // Turn team mode on, change its setup, or turn it off with teams: null
+  handleEvent(socket, 'set-team-mode', ({ roomId, teams } = {}, callback) => {
+    const room = activeRooms[roomId];
+    
+    if (!room) {
+      ackError(callback, 'ROOM_NOT_FOUND', `Room ${roomId} not found`);
+      return;
+    }
+    
+    if (!hasPermission(room, socket.id, 'set-team-mode')) {
+      ackError(callback, 'NOT_ALLOWED', 'Only hosts can set up teams');
+      return;
+    }
+    
+    room.teamMode = resolveTeamMode(teams);
+    room.settings.teams = teams || null;
+    
+    // Start everyone over - auto mode fills the teams evenly, the other modes wait for choices
+    room.participants.forEach(p => {
+      p.teamId = null;
+    });
+    if (room.teamMode && room.teamMode.assignment === 'auto') {
+      balanceTeams(room.teamMode, room.participants);
+    }
+    persistRoom(roomId);
+    
+    console.log(`Room ${roomId} team mode: ${room.teamMode ? `${room.teamMode.teams.length} teams, ${room.teamMode.assignment} assignment` : 'off'}`);
+    emitTeamsUpdated(roomId);
+    callback({ ok: true, teams: describeTeams(room.teamMode, room.participants) });
+  });
   
-  // Create a new room
-  socket.on('create-room', async (data, callback) => {
-    const roomId = generateRoomId();
+  // Join a team, when players are allowed to pick their own
+  handleEvent(socket, 'choose-team', ({ roomId, teamId } = {}, callback) => {
+    const room = activeRooms[roomId];
     
-    const user = {
-      id: socket.id,
-      username: data.host.username,
-      isHost: true,
-      score: 0
-    };
+    if (!room) {
+      ackError(callback, 'ROOM_NOT_FOUND', `Room ${roomId} not found`);
+      return;
+    }
     
-    const room = {
-      id: roomId,
-      name: data.roomName,
-      host: socket.id,
-      participants: [user],
-      settings: data.settings,
-      currentMode: 'study',
-      timerRunning: false,
-      timerValue: data.settings.studyTime,
-      triviaCategory: data.triviaCategory || 'General Knowledge', 
-      triviaQuestions: [],
-      currentQuestionIndex: -1,
-      timerInterval: null,
-      breakEndTime: null,              
-      inactivityCount: 0,              
-      questionActivityTimestamp: null, 
-      questionHasActivity: false,      
-      breakTimerInterval: null,        
-      triviaPaused: false,             
-      pendingAnswers: [],              
-      playTrivia: data.playTrivia !== undefined ? data.playTrivia : true, 
-      triviaDifficulty: data.triviaDifficulty || 'medium', 
-      lastTriviaCategory: data.triviaCategory || 'General Knowledge',
-      hasHadFirstTriviaRound: false,
-      triviaTimeLimit: data.triviaTimeLimit || 10, // Store the custom time limit
-      resumingFromInactivity: false,
-      questionInterval: null,
-      nextBatchQuestions: null,        // Store the next batch of questions
-      isRegeneratingQuestions: false,  // Flag to track background regeneration
-      studyNotesContent: data.fileId ? tempFiles.get(data.fileId) : null,
-      isUsingNotes: !!data.fileId
-    };
+    if (!room.teamMode) {
+      ackError(callback, 'TEAMS_DISABLED', 'This room is not playing in teams');
+      return;
+    }
     
-    // If this was created with a file, clean up the temporary storage
-    if (data.fileId && tempFiles.has(data.fileId)) {
-      tempFiles.delete(data.fileId);
+    if (room.teamMode.assignment !== 'choose') {
+      ackError(callback, 'TEAM_CHOICE_LOCKED', 'Teams in this room are assigned, not chosen');
+      return;
     }
     
-    console.log(`Creating room with trivia time limit: ${room.triviaTimeLimit} seconds`);
+    const participant = findParticipantBySocket(room, socket.id);
+    if (!participant) {
+      ackError(callback, 'NOT_IN_ROOM', `You are not a participant in room ${roomId}`);
+      return;
+    }
     
-    activeRooms[roomId] = room;
-    socket.join(roomId);
+    if (!findTeam(room.teamMode, teamId)) {
+      ackError(callback, 'TEAM_NOT_FOUND', `Team ${teamId} not found`);
+      return;
+    }
     
-    callback(roomId);
+    participant.teamId = teamId;
+    persistRoom(roomId);
+    
+    emitTeamsUpdated(roomId);
+    callback({ ok: true, teamId });
   });
   
-  // Join an existing room
-  socket.on('join-room', (data, callback) => {
-    console.log("Join room request received:", data);
-    
-    const { roomId, user } = data;
+  // Put a player on a team, or take them off all teams with teamId: null
+  handleEvent(socket, 'assign-team', ({ roomId, playerId, teamId } = {}, callback) => {
     const room = activeRooms[roomId];
     
     if (!room) {
-      console.log("Room not found:", roomId);
-      callback(false);
+      ackError(callback, 'ROOM_NOT_FOUND', `Room ${roomId} not found`);
       return;
     }
     
-    const newUser = {
-      id: socket.id,
-      username: user.username,
-      isHost: false,
-      score: 0
-    };
+    if (!hasPermission(room, socket.id, 'assign-team')) {
+      ackError(callback, 'NOT_ALLOWED', 'Only hosts can assign teams');
+      return;
+    }
     
-    console.log("Adding user to room:", newUser);
-    room.participants.push(newUser);
-    socket.join(roomId);
+    if (!room.teamMode) {
+      ackError(callback, 'TEAMS_DISABLED', 'This room is not playing in teams');
+      return;
+    }
+    
+    const participant = room.participants.find(p => p.id === playerId);
+    if (!participant) {
+      ackError(callback, 'PLAYER_NOT_FOUND', `Player ${playerId} is not in room ${roomId}`);
+      return;
+    }
+    
+    if (teamId !== null && !findTeam(room.teamMode, teamId)) {
+      ackError(callback, 'TEAM_NOT_FOUND', `Team ${teamId} not found`);
+      return;
+    }
     
-    io.to(roomId).emit('room-updated', room);
-    callback(true);
+    participant.teamId = teamId;
+    persistRoom(roomId);
+    
+    emitTeamsUpdated(roomId);
+    callback({ ok: true, playerId, teamId });
   });
   
-  // Get room data
-  socket.on('get-room', (roomId, callback) => {
+  // Spread everyone evenly over the teams
+  handleEvent(socket, 'balance-teams', (roomId, callback) => {
     const room = activeRooms[roomId];
-    callback(room);
+    
+    if (!room) {
+      ackError(callback, 'ROOM_NOT_FOUND', `Room ${roomId} not found`);
+      return;
+    }
+    
+    if (!hasPermission(room, socket.id, 'balance-teams')) {
+      ackError(callback, 'NOT_ALLOWED', 'Only hosts can balance teams');
+      return;
+    }
+    
+    if (!room.teamMode) {
+      ackError(callback, 'TEAMS_DISABLED', 'This room is not playing in teams');
+      return;
+    }
+    
+    balanceTeams(room.teamMode, room.participants);
+    persistRoom(roomId);
+    
+    emitTeamsUpdated(roomId);
+    callback({ ok: true, teams: describeTeams(room.teamMode, room.participants) });
   });
   
   // Leave room
-  socket.on('leave-room', (roomId) => {
+  handleEvent(socket, 'leave-room', (roomId, callback) => {
     const room = activeRooms[roomId];
-    if (room) {
-      // Remove user from participants
-      room.participants = room.participants.filter(p => p.id !== socket.id);
-      
-      // If host leaves, assign a new host or close the room
-      if (socket.id === room.host) {
-        if (room.participants.length > 0) {
-          const newHost = room.participants[0];
-          newHost.isHost = true;
-          room.host = newHost.id;
-        } else {
-          // Close the room if no participants remain
-          clearInterval(room.timerInterval);
-          if (room.breakTimerInterval) {
-            clearInterval(room.breakTimerInterval);
-          }
-          delete activeRooms[roomId];
-          return;
-        }
-      }
-      
-      socket.leave(roomId);
-      io.to(roomId).emit('room-updated', room);
+    
+    if (!room) {
+      ackError(callback, 'ROOM_NOT_FOUND', `Room ${roomId} not found`);
+      return;
     }
+    
+    socket.leave(roomId);
+    
+    // Leaving on purpose skips the reconnect grace period
+    const participant = findParticipantBySocket(room, socket.id) || findSpectatorBySocket(room, socket.id);
+    if (participant) {
+      removeParticipant(roomId, participant.id);
+    }
+    callback({ ok: true });
   });
   
   // Timer controls
-  socket.on('start-timer', (roomId) => {
+  handleEvent(socket, 'start-timer', (roomId, callback) => {
     console.log(`Start timer request received for room ${roomId}`);
     const room = activeRooms[roomId];
     
     if (!room) {
-      console.log(`Room ${roomId} not found`);
+      ackError(callback, 'ROOM_NOT_FOUND', `Room ${roomId} not found`);
       return;
     }
     
-    if (socket.id !== room.host) {
-      console.log(`User ${socket.id} is not host, cannot start timer`);
+    if (!hasPermission(room, socket.id, 'start-timer')) {
+      ackError(callback, 'NOT_ALLOWED', 'Only hosts can start the timer');
       return;
     }
     
     console.log(`Starting timer in room ${roomId}, mode: ${room.currentMode}, timeLeft: ${room.timerValue}`);
     
+    // Starting again after the last planned cycle begins the plan over
+    if (room.planCompleted && room.currentMode === 'study') {
+      room.planCompleted = false;
+      room.cycle = 1;
+    }
+    
     // Make sure we have a positive time value
     if (room.timerValue <= 0) {
       // Reset to the appropriate timer based on mode
       if (room.currentMode === 'study') {
         room.timerValue = room.settings.studyTime;
       } else {
-        room.timerValue = room.settings.breakTime;
+        room.timerValue = getBreakLength(room);
       }
     }
     
-    // Clear any existing interval first
-    if (room.timerInterval) {
-      clearInterval(room.timerInterval);
-      room.timerInterval = null;
-    }
-    
-    if (room.breakTimerInterval) {
-      clearInterval(room.breakTimerInterval);
-      room.breakTimerInterval = null;
-    }
+    // Stop any running countdown first
+    scheduler.cancel(roomTimer(roomId, 'study'));
+    scheduler.cancel(roomTimer(roomId, 'break'));
     
     room.timerRunning = true;
     
     // Start the appropriate timer based on mode
     if (room.currentMode === 'study') {
-      // Study timer
-      room.timerInterval = setInterval(() => {
-        room.timerValue -= 1;
-        
-        // Send timer update to all clients
-        io.to(roomId).emit('timer-update', {
-          timeLeft: room.timerValue,
-          isRunning: room.timerRunning
-        });
-        
-        // Check if timer reached zero
-        if (room.timerValue <= 0) {
-          clearInterval(room.timerInterval);
-          room.timerRunning = false;
-          
-          // Switch to trivia mode
-          room.currentMode = 'trivia';
-          room.timerValue = room.settings.breakTime;
-          
-          io.to(roomId).emit('mode-changed', room.currentMode);
-          io.to(roomId).emit('timer-update', {
-            timeLeft: room.timerValue,
-            isRunning: false
-          });
-          
-          // Start trivia session
-          startTriviaSession(roomId);
-        }
-      }, 1000);
+      startStudyTimer(roomId);
     } else if (room.currentMode === 'trivia') {
       // Break timer - set the new end time based on remaining seconds
-      const currentTime = Date.now();
-      room.breakEndTime = currentTime + (room.timerValue * 1000);
+      room.breakEndTime = scheduler.now() + (room.timerValue * 1000);
       
-      // Start break timer updates
-      room.breakTimerInterval = setInterval(() => {
-        sendBreakTimeUpdate(roomId);
-      }, 1000);
+      startBreakTimer(roomId);
     }
     
+    persistRoom(roomId);
+    
     // Confirm timer started
-    io.to(roomId).emit('timer-update', {
-      timeLeft: room.timerValue,
-      isRunning: room.timerRunning
-    });
+    const update = getTimerUpdate(room, room.timerValue, room.timerRunning);
+    io.to(roomId).emit('timer-update', update);
+    callback({ ok: true, ...update });
   });
   
-  socket.on('pause-timer', (roomId) => {
+  handleEvent(socket, 'pause-timer', (roomId, callback) => {
     console.log(`Pause timer request received for room ${roomId}`);
     const room = activeRooms[roomId];
     
     if (!room) {
-      console.log(`Room ${roomId} not found`);
+      ackError(callback, 'ROOM_NOT_FOUND', `Room ${roomId} not found`);
       return;
     }
     
-    if (socket.id !== room.host) {
-      console.log(`User ${socket.id} is not host, cannot pause timer`);
+    if (!hasPermission(room, socket.id, 'pause-timer')) {
+      ackError(callback, 'NOT_ALLOWED', 'Only hosts can pause the timer');
       return;
     }
     
     console.log(`Pausing timer in room ${roomId}, mode: ${room.currentMode}`);
     
     if (room.currentMode === 'study') {
-      // For study mode, simply clear the interval
-      if (room.timerInterval) {
-        clearInterval(room.timerInterval);
-        room.timerInterval = null;
-      }
+      // For study mode, simply stop the countdown - timerValue holds the seconds left
+      scheduler.cancel(roomTimer(roomId, 'study'));
+      room.studyEndTime = null;
     } else if (room.currentMode === 'trivia') {
       // For break/trivia mode, we need to store the remaining time
-      if (room.breakTimerInterval) {
-        clearInterval(room.breakTimerInterval);
-        room.breakTimerInterval = null;
+      if (scheduler.has(roomTimer(roomId, 'break'))) {
+        scheduler.cancel(roomTimer(roomId, 'break'));
         
         // Calculate remaining time and store it
-        const currentTime = Date.now();
-        const remainingTimeSeconds = Math.max(0, Math.floor((room.breakEndTime - currentTime) / 1000));
+        const remainingTimeSeconds = Math.max(0, Math.ceil((room.breakEndTime - scheduler.now()) / 1000));
         room.timerValue = remainingTimeSeconds;
         
         // We don't update breakEndTime yet - we'll do that when resumed
@@ -319,33 +1463,34 @@ io.on('connection', (socket) => {
     }
     
     room.timerRunning = false;
+    persistRoom(roomId);
     
     // Notify all clients
-    io.to(roomId).emit('timer-update', {
-      timeLeft: room.timerValue,
-      isRunning: false
-    });
+    const update = getTimerUpdate(room, room.timerValue, false);
+    io.to(roomId).emit('timer-update', update);
+    callback({ ok: true, ...update });
   });
   
-  socket.on('skip-timer', (roomId) => {
+  handleEvent(socket, 'skip-timer', (roomId, callback) => {
     console.log(`Skip timer request received for room ${roomId}`);
     const room = activeRooms[roomId];
-    if (!room || socket.id !== room.host) {
+    
+    if (!room) {
+      ackError(callback, 'ROOM_NOT_FOUND', `Room ${roomId} not found`);
       return;
     }
     
-    // Clear any existing interval
-    if (room.timerInterval) {
-      clearInterval(room.timerInterval);
-      room.timerInterval = null;
+    if (!hasPermission(room, socket.id, 'skip-timer')) {
+      ackError(callback, 'NOT_ALLOWED', 'Only hosts can skip the timer');
+      return;
     }
     
-    if (room.breakTimerInterval) {
-      clearInterval(room.breakTimerInterval);
-      room.breakTimerInterval = null;
-    }
+    // Stop any running countdown
+    scheduler.cancel(roomTimer(roomId, 'study'));
+    scheduler.cancel(roomTimer(roomId, 'break'));
     
     room.timerRunning = false;
+    room.studyEndTime = null;
     
     const previousMode = room.currentMode;
     
@@ -353,131 +1498,84 @@ io.on('connection', (socket) => {
     if (room.currentMode === 'study') {
       console.log(`Skipping to trivia mode in room ${roomId}`);
       room.currentMode = 'trivia';
-      room.timerValue = room.settings.breakTime;
+      room.onLongBreak = isLongBreak(room.cyclePlan, room.cycle);
+      room.timerValue = getBreakLength(room);
       
       // Emit mode change BEFORE starting trivia
       io.to(roomId).emit('mode-changed', room.currentMode);
-      io.to(roomId).emit('timer-update', {
-        timeLeft: room.timerValue,
-        isRunning: false
-      });
+      io.to(roomId).emit('timer-update', getTimerUpdate(room, room.timerValue, false));
       
       // Now start trivia
       startTriviaSession(roomId);
     } else {
       console.log(`Skipping to study mode in room ${roomId}`);
-      room.currentMode = 'study';
-      room.timerValue = room.settings.studyTime;
       
       // End trivia BEFORE emitting mode change
       endTriviaSession(roomId);
-      
-      io.to(roomId).emit('mode-changed', room.currentMode);
-      io.to(roomId).emit('timer-update', {
-        timeLeft: room.timerValue,
-        isRunning: false
-      });
+      returnToStudy(roomId);
     }
     
+    persistRoom(roomId);
     console.log(`Mode successfully changed from ${previousMode} to ${room.currentMode}`);
+    callback({ ok: true, mode: room.currentMode });
   });
-    // Topic selection
-  socket.on('select-topic', async ({ roomId, topic, difficulty, timeLimit, useNotes = false }) => {
+  // Topic selection - by hosts, or by players too if the room lets them pick
+  handleEvent(socket, 'select-topic', async ({ roomId, topic, difficulty, timeLimit, useNotes = false, sections, questionTypes }, callback) => {
     const room = activeRooms[roomId];
     
     if (!room) {
-      console.log(`Room ${roomId} not found for topic selection`);
+      ackError(callback, 'ROOM_NOT_FOUND', `Room ${roomId} not found`);
       return;
     }
     
     if (room.currentMode !== 'trivia') {
-      console.log(`Room ${roomId} is not in trivia mode, ignoring topic selection`);
+      ackError(callback, 'NOT_IN_TRIVIA', 'Topics can only be picked during a break');
       return;
     }
-
-    const topicContent = useNotes ? room.studyNotesContent : topic;
-    console.log(`User selected ${useNotes ? 'notes-based questions' : 'new topic'}:`, useNotes ? 'Using study notes content' : topic);
-    
-    room.triviaCategory = useNotes ? 'Study Notes' : topic;
-    room.lastTriviaCategory = room.triviaCategory;
-    room.triviaDifficulty = difficulty || 'medium';
-    room.isUsingNotes = useNotes;
-    room.triviaTimeLimit = timeLimit || 10;
     
-    // Update the trivia time limit if provided
-    if (timeLimit && !isNaN(timeLimit)) {
-      room.triviaTimeLimit = timeLimit;
-      console.log(`Updated trivia time limit to ${room.triviaTimeLimit} seconds`);
+    if (!hasPermission(room, socket.id, 'select-topic')) {
+      ackError(callback, 'NOT_ALLOWED', 'Only hosts can pick the topic in this room');
+      return;
     }
     
-    // Reset question index
-    room.currentQuestionIndex = -1;
-    
-    // Notify clients that we're loading questions
-    io.to(roomId).emit('trivia-loading', true);
-    
-    try {
-      console.log(`Generating trivia for ${room.isUsingNotes ? 'study notes' : `category: ${room.triviaCategory}`}`);
-      console.log('Topic content length:', topicContent ? topicContent.length : 0);
-      console.log('Using notes:', room.isUsingNotes);
-
-      // Use AI to generate questions with proper flags
-      room.triviaQuestions = await generateTriviaQuestions(
-        topicContent, 
-        5, 
-        room.triviaDifficulty,
-        room.isUsingNotes
-      );
-      console.log(`Generated ${room.triviaQuestions.length} questions successfully`);
-      
-      // Apply custom time limit to all questions
-      room.triviaQuestions.forEach(question => {
-        question.timeLimit = room.triviaTimeLimit;
-      });
-      
-      // Notify clients that questions are ready
-      io.to(roomId).emit('trivia-loading', false);
-      
-      // Start the first question after a short delay
-      setTimeout(() => {
-        nextTriviaQuestion(roomId);
-      }, 2000);
-    } catch (error) {
-      console.error("Error generating trivia questions:", error);
-      
-      // Fallback to predefined questions if AI generation fails
-      console.log("Using fallback predefined questions");
-      room.triviaQuestions = getPredefinedTriviaQuestions('general');
-      
-      // Apply custom time limit to fallback questions
-      room.triviaQuestions.forEach(question => {
-        question.timeLimit = room.triviaTimeLimit;
-      });
-      
-      io.to(roomId).emit('trivia-loading', false);
-      
-      // Start with predefined questions
-      setTimeout(() => {
-        nextTriviaQuestion(roomId);
-      }, 2000);
+    if (useNotes ? !room.studyNotesContent : !(topic && topic.trim())) {
+      ackError(callback, 'INVALID_TOPIC', useNotes ? 'This room has no study notes' : 'Pick a topic name');
+      return;
     }
+    
+    // Acknowledge before generating - questions arrive through trivia-loading and new-question
+    callback({ ok: true, topic: useNotes ? 'Study Notes' : topic });
+    await applyTopicSelection(roomId, { topic, difficulty, timeLimit, useNotes, sections, questionTypes });
   });
   
-  // Answer submission
-  // Replace the submit-answer event handler with this improved version
-  socket.on('submit-answer', (data) => {
-    const { roomId, questionId, answerIndex, timeRemaining } = data;
+  // Answer submission - timing comes from the server's clock, and only the first answer per player counts
+  handleEvent(socket, 'submit-answer', (data, callback) => {
+    const { roomId, questionId, answerIndex } = data;
     const room = activeRooms[roomId];
+    const receivedAt = scheduler.now();
     
-    console.log(`Received answer from ${socket.id}: room=${roomId}, question=${questionId}, answer=${answerIndex}`);
+    console.log(`Received answer from ${socket.id}: room=${roomId}, question=${questionId}`);
     
     if (!room) {
-      console.log(`Room ${roomId} not found for answer submission`);
+      ackError(callback, 'ROOM_NOT_FOUND', `Room ${roomId} not found`);
       return;
     }
     
     if (room.currentMode !== 'trivia') {
-      console.log(`Room ${roomId} not in trivia mode for answer submission`);
+      ackError(callback, 'NOT_IN_TRIVIA', 'The room is not playing trivia');
+      return;
+    }
+    
+    // Spectators can't answer, and can't wake up a paused room either
+    if (findSpectatorBySocket(room, socket.id)) {
+      ackError(callback, 'SPECTATOR', 'Spectators cannot answer questions');
+      return;
+    }
+    
+    // Only players in the room can answer, or wake up a paused room
+    const participant = findParticipantBySocket(room, socket.id);
+    if (!participant) {
+      ackError(callback, 'NOT_IN_ROOM', `You are not a participant in room ${roomId}`);
       return;
     }
     
@@ -498,8 +1596,8 @@ io.on('connection', (socket) => {
         message: 'Trivia resumed!'
       });
       
-      // Force-generate a new question after a short delay
-      setTimeout(() => {
+      // Force-generate a new question after a short delay so users can see the "resumed" message
+      scheduler.after(roomTimer(roomId, 'next-question'), 1000, () => {
         try {
           console.log(`Generating new question after inactivity resumption for room ${roomId}`);
           console.log(`Current trivia state: paused=${room.triviaPaused}, resuming=${room.resumingFromInactivity}`);
@@ -507,7 +1605,7 @@ io.on('connection', (socket) => {
           // Create a new question or reuse existing ones
           if (!room.triviaQuestions || room.triviaQuestions.length === 0) {
             console.log(`No questions available, using fallback questions`);
-            room.triviaQuestions = getPredefinedTriviaQuestions('general');
+            room.triviaQuestions = getQuestionBankQuestions(room);
           }
           
           // Reset question index to start fresh
@@ -527,12 +1625,7 @@ io.on('connection', (socket) => {
             
             // Send question directly without using nextTriviaQuestion
             io.to(roomId).emit('new-question', {
-              question: {
-                id: question.id,
-                text: question.text,
-                options: question.options,
-                correctIndex: null 
-              },
+              question: toPublicQuestion(question),
               timeLimit: question.timeLimit
             });
           } else {
@@ -541,6 +1634,7 @@ io.on('connection', (socket) => {
             const emergencyQuestions = [
               {
                 id: uuidv4(),
+                type: 'multiple-choice',
                 text: "What color is the sky on a clear day?",
                 options: ["Red", "Green", "Blue", "Yellow"],
                 correctIndex: 2,
@@ -549,23 +1643,19 @@ io.on('connection', (socket) => {
             ];
             
             io.to(roomId).emit('new-question', {
-              question: {
-                id: emergencyQuestions[0].id,
-                text: emergencyQuestions[0].text,
-                options: emergencyQuestions[0].options,
-                correctIndex: null 
-              },
+              question: toPublicQuestion(emergencyQuestions[0]),
               timeLimit: emergencyQuestions[0].timeLimit
             });
           }
         }
-      }, 1000); // Small delay so users can see the "resumed" message
+      });
       
       // Acknowledge receipt of action to the user
       socket.emit('answer-received', {
         questionId,
         answerIndex
       });
+      callback({ ok: true, resumed: true });
       
       return; // Skip normal answer processing when resuming
     }
@@ -574,35 +1664,53 @@ io.on('connection', (socket) => {
     // Check if we have a current question
     if (!room.triviaQuestions || room.currentQuestionIndex < 0 || 
         room.currentQuestionIndex >= room.triviaQuestions.length) {
-      console.log(`No valid current question in room ${roomId}`);
+      ackError(callback, 'NO_ACTIVE_QUESTION', 'There is no question to answer right now');
       return;
     }
     
     const currentQuestion = room.triviaQuestions[room.currentQuestionIndex];
     
-    if (currentQuestion && questionId === currentQuestion.id) {
-      // Mark that we received an answer for this question
-      room.questionHasActivity = true;
-      room.inactivityCount = 0;
-      
-      // Store the answer to process at the end of the question
-      room.pendingAnswers.push({
-        userId: socket.id,
-        answerIndex,
-        timeRemaining,
-        questionId
-      });
-      
-      console.log(`Answer recorded for user ${socket.id}, pending answers: ${room.pendingAnswers.length}`);
-      
-      // Acknowledge receipt of answer to the user who submitted
-      socket.emit('answer-received', {
-        questionId,
-        answerIndex
-      });
-    } else {
-      console.log(`Question ID mismatch: expected=${currentQuestion?.id}, got=${questionId}`);
+    // Answers to an earlier question, or after this one's time ran out, are late
+    if (!currentQuestion || questionId !== currentQuestion.id || !room.questionDeadline || receivedAt > room.questionDeadline) {
+      ackError(callback, 'ANSWER_TOO_LATE', 'Time is up for that question');
+      return;
+    }
+    
+    if (room.pendingAnswers.some(pending => pending.userId === participant.id)) {
+      ackError(callback, 'ALREADY_ANSWERED', 'You have already answered this question');
+      return;
+    }
+    
+    // Each question type has its own answer field - see readAnswer
+    const answer = readAnswer(currentQuestion, data);
+    if (answer === null) {
+      ackError(callback, 'INVALID_ANSWER', `That is not a valid answer to a ${currentQuestion.type || 'multiple-choice'} question`);
+      return;
     }
+    
+    // Mark that we received an answer for this question
+    room.questionHasActivity = true;
+    room.inactivityCount = 0;
+    
+    // Store the answer to process at the end of the question, ignoring the client's own idea of the time left
+    const timeRemaining = Math.max(0, (room.questionDeadline - receivedAt) / 1000);
+    room.pendingAnswers.push({
+      userId: participant.id,
+      answer,
+      timeRemaining,
+      answeredAt: receivedAt,
+      questionId
+    });
+    
+    console.log(`Answer recorded for user ${participant.id} with ${timeRemaining.toFixed(2)}s left, pending answers: ${room.pendingAnswers.length}`);
+    
+    // Acknowledge receipt of answer to the user who submitted
+    socket.emit('answer-received', {
+      questionId,
+      answerIndex,
+      answer
+    });
+    callback({ ok: true, questionId, timeRemaining });
   });
   
   // Handle disconnections
@@ -614,46 +1722,69 @@ io.on('connection', (socket) => {
       const room = activeRooms[roomId];
       if (!room) return;
       
-      const participantIndex = room.participants.findIndex(p => p.id === socket.id);
+      const participant = findParticipantBySocket(room, socket.id) || findSpectatorBySocket(room, socket.id);
       
-      if (participantIndex !== -1) {
-        // User was in this room
-        console.log(`Removing user ${socket.id} from room ${roomId}`);
-        
-        // Check if user is host
-        const isHost = socket.id === room.host;
-        
-        // Remove user
-        room.participants.splice(participantIndex, 1);
+      if (participant) {
+        // Keep the seat, score and host role for the grace period in case they come back
+        console.log(`User ${participant.id} disconnected from room ${roomId}, holding their seat for ${RECONNECT_GRACE_MS / 1000}s`);
         
-        // If host leaves, assign a new host or close the room
-        if (isHost) {
-          if (room.participants.length > 0) {
-            const newHost = room.participants[0];
-            newHost.isHost = true;
-            room.host = newHost.id;
-            console.log(`New host assigned: ${newHost.username}`);
-          } else {
-            // Close the room if no participants remain
-            console.log(`Closing empty room: ${roomId}`);
-            if (room.timerInterval) {
-              clearInterval(room.timerInterval);
-            }
-            if (room.breakTimerInterval) {
-              clearInterval(room.breakTimerInterval);
-            }
-            delete activeRooms[roomId];
-            return;
-          }
-        }
+        participant.connected = false;
+        participant.socketId = null;
+        participant.disconnectedAt = Date.now();
+        scheduleParticipantRemoval(roomId, participant.id);
+        persistRoom(roomId);
         
         // Notify remaining participants
-        io.to(roomId).emit('room-updated', room);
+        io.to(roomId).emit('room-updated', getRoomSnapshot(room));
       }
     });
   });
 });
 
+// Start the study countdown, tracking the end time so it can be restored after a restart
+function startStudyTimer(roomId) {
+  const room = activeRooms[roomId];
+  if (!room) return;
+  
+  room.studyEndTime = scheduler.now() + (room.timerValue * 1000);
+  
+  scheduler.countdown(roomTimer(roomId, 'study'), room.studyEndTime, {
+    onTick: secondsLeft => {
+      room.timerValue = secondsLeft;
+      
+      // Send timer update to all clients
+      io.to(roomId).emit('timer-update', getTimerUpdate(room, room.timerValue, room.timerRunning));
+    },
+    onEnd: () => {
+      room.timerRunning = false;
+      room.studyEndTime = null;
+      
+      // Switch to trivia mode - every Nth break is a long one
+      room.currentMode = 'trivia';
+      room.onLongBreak = isLongBreak(room.cyclePlan, room.cycle);
+      room.timerValue = getBreakLength(room);
+      
+      io.to(roomId).emit('mode-changed', room.currentMode);
+      io.to(roomId).emit('timer-update', getTimerUpdate(room, room.timerValue, false));
+      
+      // Start trivia session
+      startTriviaSession(roomId);
+    }
+  });
+}
+
+// Start sending break countdown updates - room.breakEndTime must already be set
+function startBreakTimer(roomId) {
+  const room = activeRooms[roomId];
+  if (!room) return;
+  
+  const sendUpdate = secondsLeft => sendBreakTimeUpdate(roomId, secondsLeft);
+  scheduler.countdown(roomTimer(roomId, 'break'), room.breakEndTime, {
+    onTick: sendUpdate,
+    onEnd: () => sendUpdate(0)
+  });
+}
+
 // Start a trivia session
 // In server.js - Add better logging in startTriviaSession
 async function startTriviaSession(roomId) {
@@ -663,19 +1794,19 @@ async function startTriviaSession(roomId) {
   console.log(`Starting trivia session for room ${roomId}. Trivia enabled: ${room.playTrivia}, First run: ${!room.hasHadFirstTriviaRound}, timeLimit: ${room.triviaTimeLimit}s`);
   
   // Set the end time for the break
-  room.breakEndTime = Date.now() + (room.settings.breakTime * 1000);
+  room.breakEndTime = scheduler.now() + (getBreakLength(room) * 1000);
   
   // Start break timer updates regardless of trivia mode
-  room.breakTimerInterval = setInterval(() => {
-    sendBreakTimeUpdate(roomId);
-  }, 1000);
+  startBreakTimer(roomId);
+  persistRoom(roomId);
   
   if (!room.hasHadFirstTriviaRound) {
     // After generating the first batch of questions,
     // start generating the next batch in the background
-    setTimeout(() => {
+    // Wait 5 seconds after session starts to avoid overloading
+    scheduler.after(roomTimer(roomId, 'regenerate'), 5000, () => {
       backgroundRegenerateQuestionsForRoom(roomId);
-    }, 5000); // Wait 5 seconds after session starts to avoid overloading
+    });
   }
 
   // If trivia is disabled, just notify clients about break mode
@@ -683,7 +1814,7 @@ async function startTriviaSession(roomId) {
     console.log(`Trivia disabled for room ${roomId}, just taking a break`);
     io.to(roomId).emit('trivia-disabled', {
       message: "Taking a break. Trivia is disabled for this session.",
-      breakTime: room.settings.breakTime
+      breakTime: getBreakLength(room)
     });
     
     // When break time is over, we'll switch back to study mode automatically
@@ -695,21 +1826,21 @@ async function startTriviaSession(roomId) {
   // Reset trivia session state
   room.currentQuestionIndex = -1;
   room.inactivityCount = 0;
+  room.breakCount = (room.breakCount || 0) + 1;
+  room.currentBreak = { number: room.breakCount, startedAt: Date.now() };
   room.triviaPaused = false;
   room.resumingFromInactivity = false;
   room.pendingAnswers = [];
   
-  // Reset all participants' scores for this session
+  // Reset all participants' scores and streaks for this session
   room.participants.forEach(p => {
     p.score = 0;
+    p.streak = 0;
   });
   
   // Send score reset to clients
-  io.to(roomId).emit('score-update', room.participants.map(p => ({
-    userId: p.id,
-    username: p.username,
-    score: p.score
-  })));
+  io.to(roomId).emit('score-update', getScoreboard(room), getTeamStandings(room));
+  emitReviewStatus(roomId);
   
   // Check if this is the first trivia session
   if (!room.hasHadFirstTriviaRound) {
@@ -724,7 +1855,7 @@ async function startTriviaSession(roomId) {
     try {
       // Generate questions directly without asking for topic selection
       console.log(`Generating initial trivia for category: ${room.triviaCategory}, time limit: ${room.triviaTimeLimit}s`);
-      room.triviaQuestions = await generateTriviaQuestions(room.triviaCategory, 5, room.triviaDifficulty);
+      room.triviaQuestions = await generateQuestionsForRoom(room);
       
       // Apply custom time limit to all questions
       room.triviaQuestions.forEach(question => {
@@ -738,14 +1869,14 @@ async function startTriviaSession(roomId) {
       io.to(roomId).emit('trivia-loading', false);
       
       // Start the first question right away
-      setTimeout(() => {
+      scheduler.after(roomTimer(roomId, 'next-question'), 2000, () => {
         nextTriviaQuestion(roomId);
-      }, 2000);
+      });
     } catch (error) {
       console.error("Error generating initial trivia questions:", error);
       
       // Use fallback questions
-      room.triviaQuestions = getPredefinedTriviaQuestions('general');
+      room.triviaQuestions = getQuestionBankQuestions(room);
       
       // Apply custom time limit to fallback questions
       room.triviaQuestions.forEach(question => {
@@ -755,23 +1886,181 @@ async function startTriviaSession(roomId) {
       io.to(roomId).emit('trivia-loading', false);
       
       // Start with fallback questions
-      setTimeout(() => {
+      scheduler.after(roomTimer(roomId, 'next-question'), 2000, () => {
         nextTriviaQuestion(roomId);
-      }, 2000);
+      });
     }
   } else {
     // Not the first session, show topic selection
     console.log(`Sending category selection prompt. Last category: ${room.lastTriviaCategory}, timeLimit: ${room.triviaTimeLimit}`);
     
-    // Send prompt to select/confirm trivia category
-    io.to(roomId).emit('select-category', {
-      lastCategory: room.lastTriviaCategory,
-      difficulty: room.triviaDifficulty,
-      timeLimit: room.triviaTimeLimit
+    // In vote mode the players settle the topic between them
+    if (room.topicSelection === 'vote') {
+      openTopicVote(roomId);
+    }
+    
+    // Send prompt to select/confirm trivia category
+    io.to(roomId).emit('select-category', {
+      lastCategory: room.lastTriviaCategory,
+      difficulty: room.triviaDifficulty,
+      timeLimit: room.triviaTimeLimit,
+      topicSelection: room.topicSelection,
+      voteEndsAt: room.topicVote ? room.topicVote.endsAt : null
+    });
+  }
+}
+
+// Switch the room to a new topic and generate its questions - a host's pick ends any open vote
+async function applyTopicSelection(roomId, { topic, difficulty, timeLimit, useNotes = false, sections, questionTypes }) {
+  const room = activeRooms[roomId];
+  if (!room) return;
+  
+  cancelTopicVote(roomId);
+  
+  const topicContent = useNotes ? room.studyNotesContent : topic;
+  console.log(`User selected ${useNotes ? 'notes-based questions' : 'new topic'}:`, useNotes ? 'Using study notes content' : topic);
+  
+  room.triviaCategory = useNotes ? 'Study Notes' : topic;
+  room.lastTriviaCategory = room.triviaCategory;
+  room.triviaDifficulty = difficulty || 'medium';
+  room.isUsingNotes = useNotes;
+  room.triviaTimeLimit = timeLimit || 10;
+  
+  if (Array.isArray(questionTypes)) {
+    room.questionTypes = normalizeQuestionTypes(questionTypes);
+  }
+  
+  // Limit notes questions to the chosen sections if any were picked
+  if (useNotes && Array.isArray(sections)) {
+    selectNoteSections(room, sections);
+  }
+  
+  // Update the trivia time limit if provided
+  if (timeLimit && !isNaN(timeLimit)) {
+    room.triviaTimeLimit = timeLimit;
+    console.log(`Updated trivia time limit to ${room.triviaTimeLimit} seconds`);
+  }
+  
+  // Reset question index
+  room.currentQuestionIndex = -1;
+  persistRoom(roomId);
+  
+  // Notify clients that we're loading questions
+  io.to(roomId).emit('trivia-loading', true);
+  
+  try {
+    console.log(`Generating trivia for ${room.isUsingNotes ? 'study notes' : `category: ${room.triviaCategory}`}`);
+    console.log('Topic content length:', topicContent ? topicContent.length : 0);
+    console.log('Using notes:', room.isUsingNotes);
+
+    // Use AI to generate questions with proper flags
+    room.triviaQuestions = await generateQuestionsForRoom(room);
+    console.log(`Generated ${room.triviaQuestions.length} questions successfully`);
+    
+    // Apply custom time limit to all questions
+    room.triviaQuestions.forEach(question => {
+      question.timeLimit = room.triviaTimeLimit;
+    });
+    persistRoom(roomId);
+    
+    // Notify clients that questions are ready
+    io.to(roomId).emit('trivia-loading', false);
+    
+    // Start the first question after a short delay
+    scheduler.after(roomTimer(roomId, 'next-question'), 2000, () => {
+      nextTriviaQuestion(roomId);
+    });
+  } catch (error) {
+    console.error("Error generating trivia questions:", error);
+    
+    // Fallback to predefined questions if AI generation fails
+    console.log("Using fallback predefined questions");
+    room.triviaQuestions = getQuestionBankQuestions(room);
+    
+    // Apply custom time limit to fallback questions
+    room.triviaQuestions.forEach(question => {
+      question.timeLimit = room.triviaTimeLimit;
+    });
+    
+    io.to(roomId).emit('trivia-loading', false);
+    
+    // Start with predefined questions
+    scheduler.after(roomTimer(roomId, 'next-question'), 2000, () => {
+      nextTriviaQuestion(roomId);
     });
   }
 }
 
+// Open a vote on the next topic, settled when everyone has voted or the time runs out
+function openTopicVote(roomId) {
+  const room = activeRooms[roomId];
+  if (!room) return;
+  
+  cancelTopicVote(roomId);
+  room.topicVote = { votes: {}, endsAt: scheduler.now() + TOPIC_VOTE_SECONDS * 1000 };
+  scheduler.at(roomTimer(roomId, 'topic-vote'), room.topicVote.endsAt, () => finishTopicVote(roomId));
+}
+
+function cancelTopicVote(roomId) {
+  scheduler.cancel(roomTimer(roomId, 'topic-vote'));
+  if (activeRooms[roomId]) {
+    activeRooms[roomId].topicVote = null;
+  }
+}
+
+// Votes per topic, most first - ties go to the topic that was voted for first
+function tallyTopicVotes(topicVote) {
+  const tally = new Map();
+  Object.values(topicVote.votes).forEach(({ topic, useNotes }) => {
+    const key = `${useNotes}:${topic.toLowerCase()}`;
+    const entry = tally.get(key) || { topic, useNotes, votes: 0 };
+    entry.votes += 1;
+    tally.set(key, entry);
+  });
+  return Array.from(tally.values()).sort((a, b) => b.votes - a.votes);
+}
+
+// Close the topic vote and play the winner, or the last topic if nobody voted
+function finishTopicVote(roomId) {
+  const room = activeRooms[roomId];
+  if (!room || !room.topicVote) return;
+  
+  const tally = tallyTopicVotes(room.topicVote);
+  cancelTopicVote(roomId);
+  if (room.currentMode !== 'trivia') return;
+  
+  const winner = tally[0] || { topic: room.lastTriviaCategory, useNotes: false, votes: 0 };
+  console.log(`Topic vote in room ${roomId} won by ${winner.useNotes ? 'study notes' : winner.topic} with ${winner.votes} votes`);
+  io.to(roomId).emit('topic-vote-ended', { winner, tally });
+  
+  applyTopicSelection(roomId, {
+    topic: winner.topic,
+    useNotes: winner.useNotes,
+    difficulty: room.triviaDifficulty,
+    timeLimit: room.triviaTimeLimit
+  });
+}
+
+/**
+ * Attach an explanation that was fetched while the question was running. If the answer
+ * has already been revealed, it is sent on its own and added to the break report.
+ * @param {string} roomId - Room the question was asked in
+ * @param {Object} question - Question the explanation is for
+ * @param {string} explanation - Explanation from explainQuestion
+ */
+function addLateExplanation(roomId, question, explanation) {
+  const room = activeRooms[roomId];
+  question.explanation = explanation;
+  if (!room || !room.currentBreak || !room.currentBreak.questions) return;
+  
+  const reported = room.currentBreak.questions.find(entry => entry.questionId === question.id);
+  if (reported) {
+    reported.explanation = explanation;
+    io.to(roomId).emit('question-explanation', { questionId: question.id, explanation });
+    persistRoom(roomId);
+  }
+}
+
 // Display the next trivia question
 // In server.js - Update nextTriviaQuestion function with detailed logging
 function nextTriviaQuestion(roomId) {
@@ -791,7 +2080,7 @@ function nextTriviaQuestion(roomId) {
   console.log(`Is paused due to inactivity: ${room.triviaPaused}`);
   
   // Check if the break time is over
-  if (room.breakEndTime && Date.now() >= room.breakEndTime) {
+  if (room.breakEndTime && scheduler.now() >= room.breakEndTime) {
     console.log(`[nextTriviaQuestion] Room ${roomId} - Break time is over, ending trivia session`);
     
     io.to(roomId).emit('trivia-message', {
@@ -800,17 +2089,7 @@ function nextTriviaQuestion(roomId) {
     });
     
     endTriviaSession(roomId);
-    
-    // Switch back to study mode
-    room.currentMode = 'study';
-    room.timerValue = room.settings.studyTime;
-    
-    io.to(roomId).emit('mode-changed', room.currentMode);
-    io.to(roomId).emit('timer-update', {
-      timeLeft: room.timerValue,
-      isRunning: false
-    });
-    
+    returnToStudy(roomId);
     return;
   }
   // OPTIMIZATION: If we're at the second-to-last question, start generating the next batch
@@ -838,24 +2117,14 @@ function nextTriviaQuestion(roomId) {
     } 
     else {
       // Check if there's still reasonable time left in the break
-      const timeLeft = Math.max(0, Math.floor((room.breakEndTime - Date.now()) / 1000));
+      const timeLeft = Math.max(0, Math.floor((room.breakEndTime - scheduler.now()) / 1000));
       
       if (timeLeft < 20) {
         // If not much time left, just end the trivia session
         console.log(`[nextTriviaQuestion] Room ${roomId} - Not enough time left for more questions`);
         
         endTriviaSession(roomId);
-        
-        // Switch back to study mode
-        room.currentMode = 'study';
-        room.timerValue = room.settings.studyTime;
-        
-        io.to(roomId).emit('mode-changed', room.currentMode);
-        io.to(roomId).emit('timer-update', {
-          timeLeft: room.timerValue,
-          isRunning: false
-        });
-        
+        returnToStudy(roomId);
         return;
       }
       
@@ -916,7 +2185,7 @@ function nextTriviaQuestion(roomId) {
     });
     
     // Regenerate with fallback questions
-    room.triviaQuestions = getPredefinedTriviaQuestions('general');
+    room.triviaQuestions = getQuestionBankQuestions(room);
     room.currentQuestionIndex = 0;
   }
   
@@ -936,34 +2205,45 @@ function nextTriviaQuestion(roomId) {
   
   console.log(`[nextTriviaQuestion] Room ${roomId} - Sending question: "${currentQuestion.text.substring(0, 30)}..."`);
   
+  // Remember the question so later batches don't repeat it
+  recordQuestion(room.questionHistory, currentQuestion);
+  
   // Reset question activity flag
   room.questionActivityTimestamp = Date.now();
   room.questionHasActivity = false; // Track if anyone answered this question
   room.pendingAnswers = []; // Clear pending answers for the new question
   
-  // Send the new question to all clients
+  // Use the question's time limit (which should match room.triviaTimeLimit)
+  const questionTimer = currentQuestion.timeLimit || room.triviaTimeLimit;
+  
+  // Answers are timed against the moment the question goes out
+  room.questionStartedAt = scheduler.now();
+  room.questionDeadline = room.questionStartedAt + questionTimer * 1000;
+  
+  // Send the new question to all clients, without its answer
   io.to(roomId).emit('new-question', {
-    question: {
-      id: currentQuestion.id,
-      text: currentQuestion.text,
-      options: currentQuestion.options,
-      correctIndex: null // Don't send the correct answer yet
-    },
-    timeLimit: currentQuestion.timeLimit || room.triviaTimeLimit
+    question: toPublicQuestion(currentQuestion),
+    timeLimit: questionTimer
   });
   
-  // Use the question's time limit (which should match room.triviaTimeLimit)
-  let questionTimer = currentQuestion.timeLimit || room.triviaTimeLimit;
+  // Fetch a missing explanation while players answer, so it's usually ready for the reveal
+  if (!currentQuestion.explanation) {
+    explainQuestion(currentQuestion, { allowCall: () => allowProviderCall(roomId, 'explain-answer') }).then(explanation => {
+      if (explanation) {
+        addLateExplanation(roomId, currentQuestion, explanation);
+      }
+    }).catch(error => {
+      console.error(`Error adding explanation in room ${roomId}:`, error);
+    });
+  }
   
-  // Start question timer
-  const questionInterval = setInterval(() => {
-    questionTimer--;
-    
-    // Send timer update
-    io.to(roomId).emit('question-timer', questionTimer);
-    
-    if (questionTimer <= 0) {
-      clearInterval(questionInterval);
+  // Count down to the deadline, then grade
+  scheduler.countdown(roomTimer(roomId, 'question'), room.questionDeadline, {
+    onTick: secondsLeft => {
+      io.to(roomId).emit('question-timer', secondsLeft);
+    },
+    onEnd: () => {
+      io.to(roomId).emit('question-timer', 0);
       
       try {
         // Make sure room and question still exist
@@ -980,26 +2260,60 @@ function nextTriviaQuestion(roomId) {
         
         const currentQuestion = room.triviaQuestions[room.currentQuestionIndex];
         
-        // Reveal the correct answer
+        // Close the question so nothing sent from here on counts
+        room.questionDeadline = null;
+        
+        // Reveal the correct answer, with the supporting excerpt for notes-based questions
         io.to(roomId).emit('question-ended', {
-          correctIndex: currentQuestion.correctIndex
+          ...revealAnswer(currentQuestion),
+          source: currentQuestion.source || null,
+          explanation: currentQuestion.explanation || null
         });
         
-        // Process all pending answers and award points
-        const correctAnswers = room.pendingAnswers.filter(
-          answer => answer.answerIndex === currentQuestion.correctIndex
-        );
+        // In consensus mode each team's majority answer counts for all of its members
+        const answersToGrade = room.teamMode && room.teamMode.consensus
+          ? applyTeamConsensus(room.teamMode, room.participants, room.pendingAnswers)
+          : room.pendingAnswers;
         
-        // Award points for correct answers
-        for (const answer of correctAnswers) {
-          const participant = room.participants.find(p => p.id === answer.userId);
-          if (participant) {
-            // Calculate score based on time remaining
-            const pointsEarned = Math.ceil(answer.timeRemaining * (20 / currentQuestion.timeLimit));
-            participant.score += pointsEarned;
-            
-            console.log(`User ${answer.userId} earned ${pointsEarned} points`);
+        // Grade all pending answers - partial credit for multi-select, closest wins for numeric
+        const gradedAnswers = gradeAnswers(currentQuestion, answersToGrade);
+        
+        // Score them with the room's profile
+        const streaks = {};
+        room.participants.forEach(p => {
+          streaks[p.id] = p.streak || 0;
+        });
+        const breakdowns = scoreAnswers(room.scoring, currentQuestion, gradedAnswers, streaks);
+        
+        // Players who didn't answer lose their streak
+        room.participants.forEach(participant => {
+          const breakdown = breakdowns.find(entry => entry.userId === participant.id);
+          participant.streak = breakdown ? breakdown.streak : 0;
+          
+          if (breakdown && breakdown.points !== 0) {
+            participant.score += breakdown.points;
+            console.log(`User ${participant.id} earned ${breakdown.points} points`);
           }
+        });
+        
+        // Reports and reviews follow what each player answered, even when their team's answer scored
+        const ownAnswers = answersToGrade === room.pendingAnswers
+          ? gradedAnswers
+          : gradeAnswers(currentQuestion, room.pendingAnswers);
+        
+        // Keep every player's answer for the break report
+        if (room.currentBreak) {
+          const answeredPlayers = room.participants.filter(p => p.connected || gradedAnswers.some(answer => answer.userId === p.id));
+          room.currentBreak.questions = room.currentBreak.questions || [];
+          room.currentBreak.questions.push(summarizeQuestion(currentQuestion, ownAnswers, breakdowns, answeredPlayers, room.questionStartedAt));
+        }
+        
+        // Missed or slow notes questions come back in later breaks
+        if (room.isUsingNotes && currentQuestion.source) {
+          const playerIds = room.participants.filter(p => p.connected).map(p => p.id);
+          const outcomes = reviewOutcomes(currentQuestion, ownAnswers, playerIds);
+          recordReviewResults(room.reviewItems, currentQuestion, outcomes, room.breakCount);
+          emitReviewStatus(roomId);
         }
         
         // Check if there was any activity on this question
@@ -1014,24 +2328,139 @@ function nextTriviaQuestion(roomId) {
         
         // Clear pending answers
         room.pendingAnswers = [];
+        persistRoom(roomId);
         
-        // Send updated scores to all clients
-        io.to(roomId).emit('score-update', room.participants.map(p => ({
-          userId: p.id,
-          username: p.username,
-          score: p.score
-        })));
+        // Send updated scores to all clients, with how each player's points for this question add up
+        io.to(roomId).emit('score-update', getScoreboard(room, breakdowns), getTeamStandings(room));
         
         // Wait a few seconds before moving to next question
-        setTimeout(() => {
+        scheduler.after(roomTimer(roomId, 'next-question'), 3000, () => {
           nextTriviaQuestion(roomId);
-        }, 3000);
+        });
       } catch (error) {
         console.error(`Error processing question end: ${error}`);
         console.error(error.stack);
       }
     }
-  }, 1000);
+  });
+}
+
+// Store study notes on a room and index them into sections and chunks
+function setRoomNotes(room, text) {
+  room.studyNotesContent = text;
+  
+  // The notes are saved once here - room saves leave them out
+  roomStore.saveNotes(room.id, text).catch(error => {
+    console.error(`Error persisting notes for room ${room.id}:`, error);
+  });
+  room.notesIndex = buildNotesIndex(text);
+  room.notesChunkCursor = 0;
+  room.selectedNoteSections = [];
+  console.log(`Indexed notes for room ${room.id}: ${room.notesIndex.sections.length} sections, ${room.notesIndex.chunks.length} chunks`);
+}
+
+// Rooms stored before notes were indexed get their index built on first use
+function ensureNotesIndex(room) {
+  if (!room.notesIndex && room.studyNotesContent) {
+    room.notesIndex = buildNotesIndex(room.studyNotesContent);
+    room.notesChunkCursor = 0;
+    room.selectedNoteSections = room.selectedNoteSections || [];
+  }
+  return room.notesIndex;
+}
+
+// Limit notes-based generation to the given sections, ignoring unknown ids
+function selectNoteSections(room, sectionIds) {
+  const notesIndex = ensureNotesIndex(room);
+  const knownIds = new Set(notesIndex ? notesIndex.sections.map(section => section.id) : []);
+  
+  room.selectedNoteSections = sectionIds.filter(id => knownIds.has(id));
+  room.notesChunkCursor = 0;
+  console.log(`Room ${room.id} notes limited to sections: ${room.selectedNoteSections.join(', ') || 'all'}`);
+}
+
+// Take the next chunk of notes in rotation so a session works through the whole document
+function nextNotesChunk(room) {
+  const notesIndex = ensureNotesIndex(room);
+  const { chunk, cursor } = pickNextChunk(notesIndex, room.selectedNoteSections, room.notesChunkCursor);
+  
+  if (!chunk) {
+    return { text: room.studyNotesContent, heading: null, start: 0, end: room.studyNotesContent.length };
+  }
+  
+  room.notesChunkCursor = cursor;
+  console.log(`Using notes chunk ${chunk.id} (${chunk.heading}) for room ${room.id}`);
+  return {
+    text: room.studyNotesContent.substring(chunk.start, chunk.end),
+    heading: chunk.heading,
+    start: chunk.start,
+    end: chunk.end
+  };
+}
+
+// Generate a batch for the room's current topic or notes, avoiding questions it has already seen
+async function generateQuestionsForRoom(room, count = 5) {
+  const useNotes = room.isUsingNotes && Boolean(room.studyNotesContent);
+  const notesChunk = useNotes ? nextNotesChunk(room) : null;
+  const content = useNotes ? notesChunk.text : room.triviaCategory;
+  
+  // Questions still waiting in the current batch count as seen too
+  const history = [
+    ...room.questionHistory,
+    ...(room.triviaQuestions || []).map(fingerprintQuestion)
+  ];
+  
+  // In notes mode, part of each batch goes to review questions that are due
+  const reviewQuestions = useNotes
+    ? takeDueQuestions(room.reviewItems, currentReviewBreak(room), Math.floor(count * REVIEW_SHARE))
+        .map(question => ({ ...question, id: uuidv4(), timeLimit: 10 }))
+    : [];
+  
+  if (reviewQuestions.length > 0) {
+    console.log(`Mixing ${reviewQuestions.length} review questions into the next batch for room ${room.id}`);
+  }
+  
+  const freshQuestions = await generateTriviaQuestions(content, count - reviewQuestions.length, room.triviaDifficulty, useNotes, {
+    history,
+    section: notesChunk ? notesChunk.heading : null,
+    questionTypes: room.questionTypes,
+    notes: useNotes
+      ? {
+        content: room.studyNotesContent,
+        sections: room.notesIndex.sections,
+        range: { start: notesChunk.start, end: notesChunk.end }
+      }
+      : null
+  });
+  
+  // Alternate fresh and review questions so reviews are spread through the batch
+  const questions = [];
+  while (freshQuestions.length > 0 || reviewQuestions.length > 0) {
+    if (freshQuestions.length > 0) questions.push(freshQuestions.shift());
+    if (reviewQuestions.length > 0) questions.push(reviewQuestions.shift());
+  }
+  return questions;
+}
+
+// The break review questions are scheduled against - the current one, or the next one between breaks
+function currentReviewBreak(room) {
+  return room.currentBreak ? room.breakCount : (room.breakCount || 0) + 1;
+}
+
+// Tell everyone in the room how many review questions each player has due
+function emitReviewStatus(roomId) {
+  const room = activeRooms[roomId];
+  if (!room || !room.isUsingNotes) return;
+  
+  io.to(roomId).emit('review-status', getReviewStatus(room));
+}
+
+function getReviewStatus(room) {
+  const breakNumber = currentReviewBreak(room);
+  return {
+    breakNumber,
+    players: reviewStatus(room.reviewItems, breakNumber, room.participants)
+  };
 }
 
 async function backgroundRegenerateQuestionsForRoom(roomId) {
@@ -1049,11 +2478,7 @@ async function backgroundRegenerateQuestionsForRoom(roomId) {
   
   try {
     // Generate new questions
-    const newQuestions = await generateTriviaQuestions(
-      room.triviaCategory,
-      5, // or however many you want in each batch
-      room.triviaDifficulty
-    );
+    const newQuestions = await generateQuestionsForRoom(room);
     
     // Check if room still exists
     if (!activeRooms[roomId]) {
@@ -1080,7 +2505,7 @@ async function backgroundRegenerateQuestionsForRoom(roomId) {
     }
     
     // Use fallback questions
-    const fallbackQuestions = getPredefinedTriviaQuestions('general');
+    const fallbackQuestions = getQuestionBankQuestions(room);
     
     // Apply the time limit to fallback questions
     fallbackQuestions.forEach(question => {
@@ -1105,11 +2530,7 @@ async function regenerateQuestionsForRoom(roomId) {
     console.log(`Regenerating trivia for room ${roomId}, category: ${room.triviaCategory}`);
     
     // Get new questions
-    const newQuestions = await generateTriviaQuestions(
-      room.triviaCategory,
-      5, // Request 5 new questions
-      room.triviaDifficulty
-    );
+    const newQuestions = await generateQuestionsForRoom(room);
     
     // Apply the room's time limit to all questions
     newQuestions.forEach(question => {
@@ -1124,15 +2545,15 @@ async function regenerateQuestionsForRoom(roomId) {
     io.to(roomId).emit('trivia-loading', false);
     
     // Start with the first question
-    setTimeout(() => {
+    scheduler.after(roomTimer(roomId, 'next-question'), 1500, () => {
       nextTriviaQuestion(roomId);
-    }, 1500);
+    });
     
   } catch (error) {
     console.error("Error regenerating trivia questions:", error);
     
     // Use fallback questions as a safety measure
-    room.triviaQuestions = getPredefinedTriviaQuestions('general');
+    room.triviaQuestions = getQuestionBankQuestions(room);
     room.triviaQuestions.forEach(question => {
       question.timeLimit = room.triviaTimeLimit;
     });
@@ -1150,9 +2571,9 @@ async function regenerateQuestionsForRoom(roomId) {
     });
     
     // Start with the first fallback question
-    setTimeout(() => {
+    scheduler.after(roomTimer(roomId, 'next-question'), 1500, () => {
       nextTriviaQuestion(roomId);
-    }, 1500);
+    });
   }
 }
 
@@ -1162,25 +2583,22 @@ function endTriviaSession(roomId) {
   const room = activeRooms[roomId];
   if (!room) return;
   
-  // Clean up break timer interval
-  if (room.breakTimerInterval) {
-    clearInterval(room.breakTimerInterval);
-    room.breakTimerInterval = null;
-  }
+  // Stop the break countdown
+  scheduler.cancel(roomTimer(roomId, 'break'));
   
   // Reset trivia state
   room.triviaPaused = false;
   room.inactivityCount = 0;
+  cancelTopicVote(roomId);
   
   // Reset any timers and ensure clean state transition
-  if (room.timerInterval) {
-    clearInterval(room.timerInterval);
-    room.timerInterval = null;
-  }
+  scheduler.cancel(roomTimer(roomId, 'study'));
+  scheduler.cancel(roomTimer(roomId, 'question'));
   
   // Announce the winner
   const sortedParticipants = [...room.participants].sort((a, b) => b.score - a.score);
   const winner = sortedParticipants[0];
+  const teams = getTeamStandings(room);
   
   if (winner) {
     io.to(roomId).emit('trivia-session-ended', {
@@ -1192,26 +2610,60 @@ function endTriviaSession(roomId) {
       allScores: room.participants.map(p => ({
         id: p.id,
         username: p.username,
-        score: p.score
+        score: p.score,
+        teamId: p.teamId || null
       })),
+      teamStandings: teams,
+      winningTeam: teams && teams.length > 0 && teams[0].score > 0 ? teams[0] : null,
       currentTopic: room.triviaCategory
     });
   }
+  
+  recordBreakResults(roomId);
+}
+
+// Add the break that just ended to the room's history and the all-time leaderboard,
+// then push the running totals to everyone in the room
+function recordBreakResults(roomId) {
+  const room = activeRooms[roomId];
+  
+  // Only once per break - several paths can end the same session
+  if (!room || !room.currentBreak) return;
+  
+  const summary = summarizeBreak(room, room.currentBreak);
+  room.currentBreak = null;
+  room.breakHistory = room.breakHistory || [];
+  addBreakToHistory(room.breakHistory, summary);
+  leaderboard.recordBreak(summary);
+  persistRoom(roomId);
+  
+  console.log(`Recorded break ${summary.breakNumber} for room ${roomId}, winner: ${summary.winnerId || 'none'}`);
+  
+  const { questions, ...lastBreak } = summary;
+  io.to(roomId).emit('cumulative-standings', {
+    breakNumber: summary.breakNumber,
+    lastBreak,
+    standings: cumulativeStandings(room.breakHistory)
+  });
+  io.to(roomId).emit('break-report', buildBreakReport(room, summary));
+}
+
+// Find a finished break in a room's history - 'latest' or a break number
+function findBreakEntry(room, breakNumber) {
+  const history = room.breakHistory || [];
+  if (breakNumber === undefined || breakNumber === null || breakNumber === 'latest') {
+    return history[history.length - 1] || null;
+  }
+  return history.find(entry => entry.breakNumber === Number(breakNumber)) || null;
 }
 
 // In server.js - Update the sendBreakTimeUpdate function
-function sendBreakTimeUpdate(roomId) {
+function sendBreakTimeUpdate(roomId, remainingTime) {
   const room = activeRooms[roomId];
   if (!room || room.currentMode !== 'trivia') return;
   
-  // Calculate remaining break time
-  const remainingTime = Math.max(0, Math.floor((room.breakEndTime - Date.now()) / 1000));
-  
   // Send timer update
-  io.to(roomId).emit('timer-update', {
-    timeLeft: remainingTime,
-    isRunning: true
-  });
+  io.to(roomId).emit('timer-update', getTimerUpdate(room, remainingTime, true));
   
   // Check if break time is over
   if (remainingTime <= 0) {
@@ -1223,24 +2675,7 @@ function sendBreakTimeUpdate(roomId) {
     });
     
     endTriviaSession(roomId);
-    
-    // Switch back to study mode with EXPLICIT timer state reset
-    room.currentMode = 'study';
-    room.timerValue = room.settings.studyTime;
-    room.timerRunning = false; // Ensure this is explicitly set to false
-    
-    io.to(roomId).emit('mode-changed', room.currentMode);
-    io.to(roomId).emit('timer-update', {
-      timeLeft: room.timerValue,
-      isRunning: false
-    });
-    
-    // Clear this interval
-    if (room.breakTimerInterval) {
-      clearInterval(room.breakTimerInterval);
-      room.breakTimerInterval = null;
-    }
-    
+    returnToStudy(roomId);
     return;
   }
   
@@ -1253,115 +2688,193 @@ function sendBreakTimeUpdate(roomId) {
   }
 }
 
+// Switch back to study mode at the end of a break, moving on to the next cycle of the plan.
+// The study timer starts by itself if the plan auto-starts and cycles are left.
+function returnToStudy(roomId) {
+  const room = activeRooms[roomId];
+  if (!room) return;
+  
+  scheduler.cancel(roomTimer(roomId, 'break'));
+  
+  room.currentMode = 'study';
+  room.onLongBreak = false;
+  room.timerValue = room.settings.studyTime;
+  room.timerRunning = false; // Ensure this is explicitly set to false
+  
+  const plan = room.cyclePlan || resolveCyclePlan(room.settings);
+  if (plan.totalCycles && room.cycle >= plan.totalCycles) {
+    room.planCompleted = true;
+    console.log(`Room ${roomId} finished all ${plan.totalCycles} planned cycles`);
+    io.to(roomId).emit('cycle-plan-completed', { cycles: plan.totalCycles });
+  } else {
+    room.cycle = (room.cycle || 1) + 1;
+  }
+  
+  io.to(roomId).emit('mode-changed', room.currentMode);
+  
+  if (plan.autoStart && !room.planCompleted) {
+    console.log(`Auto-starting cycle ${room.cycle} in room ${roomId}`);
+    room.timerRunning = true;
+    startStudyTimer(roomId);
+  }
+  
+  io.to(roomId).emit('timer-update', getTimerUpdate(room, room.timerValue, room.timerRunning));
+  persistRoom(roomId);
+}
+
 function cleanupRoomTimers(roomId) {
   const room = activeRooms[roomId];
   if (!room) return;
   
   console.log(`Cleaning up timers for room ${roomId}`);
   
-  if (room.timerInterval) {
-    clearInterval(room.timerInterval);
-    room.timerInterval = null;
+  scheduler.cancel(roomTimer(roomId, 'study'));
+  scheduler.cancel(roomTimer(roomId, 'break'));
+}
+
+// Get questions from the local question bank for when AI generation fails or is turned off
+function getQuestionBankQuestions(room, count = 5) {
+  const questions = sampleQuestions({
+    topic: room.isUsingNotes ? '' : room.triviaCategory,
+    difficulty: room.triviaDifficulty,
+    count,
+    types: room.questionTypes
+  });
+  
+  // Apply the room's time limit
+  questions.forEach(question => {
+    question.timeLimit = room.triviaTimeLimit;
+  });
+  
+  return questions;
+}
+
+// Public rooms anyone can drop into - ?q=, ?tag=a,b, ?mode=study|trivia, ?joinable=true, ?page=, ?limit=
+app.get('/api/rooms', limitRoute('room-directory'), (req, res) => {
+  const summaries = Object.values(activeRooms)
+    .filter(room => room.listing && room.listing.public)
+    .map(room => summarizeRoom(room, getTimeLeft(room)));
+  
+  res.status(200).json(searchDirectory(summaries, req.query));
+});
+
+// Summary of one room for public rooms and members. Anyone else only learns whether the room
+// exists and needs a passcode - enough for an invite link's join screen
+app.get('/api/rooms/:roomId', limitRoute('room-summary'), (req, res) => {
+  const room = activeRooms[req.params.roomId];
+  
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
   }
   
-  if (room.breakTimerInterval) {
-    clearInterval(room.breakTimerInterval);
-    room.breakTimerInterval = null;
+  if (!(room.listing && room.listing.public) && !findMemberByRequest(room, req)) {
+    return res.status(200).json({ exists: true, requiresPasscode: Boolean(room.passcodeHash) });
   }
-}
+  
+  res.status(200).json({ room: summarizeRoom(room, getTimeLeft(room)) });
+});
 
-// Get predefined trivia questions for fallback
-function getPredefinedTriviaQuestions(category, count = 5, timeLimit = 10) {
-  const generalKnowledge = [
-    {
-      id: uuidv4(),
-      text: "What is the capital of France?",
-      options: ["London", "Berlin", "Paris", "Madrid"],
-      correctIndex: 2,
-      timeLimit: 10
-    },
-    {
-      id: uuidv4(),
-      text: "Which planet is closest to the Sun?",
-      options: ["Venus", "Mercury", "Mars", "Earth"],
-      correctIndex: 1,
-      timeLimit: 10
-    },
-    {
-      id: uuidv4(),
-      text: "What is the chemical symbol for gold?",
-      options: ["Go", "Gd", "Au", "Ag"],
-      correctIndex: 2,
-      timeLimit: 10
-    },
-    {
-      id: uuidv4(),
-      text: "How many sides does a hexagon have?",
-      options: ["5", "6", "7", "8"],
-      correctIndex: 1,
-      timeLimit: 10
-    },
-    {
-      id: uuidv4(),
-      text: "What is the largest ocean on Earth?",
-      options: ["Atlantic", "Indian", "Arctic", "Pacific"],
-      correctIndex: 3,
-      timeLimit: 10
-    }
-  ];
+// Cumulative standings and per-break history for a room - members only, see findMemberByRequest
+app.get('/api/rooms/:roomId/leaderboard', limitRoute('room-leaderboard'), (req, res) => {
+  const room = activeRooms[req.params.roomId];
   
-  const popCulture = [
-    {
-      id: uuidv4(),
-      text: "Which actor played Iron Man in the Marvel Cinematic Universe?",
-      options: ["Chris Hemsworth", "Robert Downey Jr.", "Chris Evans", "Mark Ruffalo"],
-      correctIndex: 1,
-      timeLimit: 10
-    },
-    {
-      id: uuidv4(),
-      text: "What is the name of the fictional continent in Game of Thrones?",
-      options: ["Essos", "Westeros", "Northeros", "Southeros"],
-      correctIndex: 1,
-      timeLimit: 10
-    },
-    {
-      id: uuidv4(),
-      text: "Which band performed the song 'Bohemian Rhapsody'?",
-      options: ["The Beatles", "Queen", "Led Zeppelin", "AC/DC"],
-      correctIndex: 1,
-      timeLimit: 10
-    },
-    {
-      id: uuidv4(),
-      text: "Which movie franchise features a character named Harry Potter?",
-      options: ["The Lord of the Rings", "Star Wars", "Harry Potter", "The Chronicles of Narnia"],
-      correctIndex: 2,
-      timeLimit: 10
-    },
-    {
-      id: uuidv4(),
-      text: "Who painted the Mona Lisa?",
-      options: ["Vincent van Gogh", "Pablo Picasso", "Leonardo da Vinci", "Michelangelo"],
-      correctIndex: 2,
-      timeLimit: 10
-    }
-  ];
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+  
+  if (!findMemberByRequest(room, req)) {
+    return res.status(401).json({ error: 'A session token for this room is required' });
+  }
+  
+  const breaks = room.breakHistory || [];
+  res.status(200).json({
+    roomId: room.id,
+    standings: cumulativeStandings(breaks),
+    breaks: breaks.map(({ questions, ...entry }) => entry)
+  });
+});
+
+// Report for one break - ?format=json, csv or markdown, members only
+app.get('/api/rooms/:roomId/breaks/:breakNumber/report', limitRoute('break-report'), (req, res) => {
+  const room = activeRooms[req.params.roomId];
+  
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+  
+  if (!findMemberByRequest(room, req)) {
+    return res.status(401).json({ error: 'A session token for this room is required' });
+  }
+  
+  const format = resolveReportFormat(req.query.format);
+  if (!format) {
+    return res.status(400).json({ error: `Unsupported format. Use one of: ${REPORT_FORMATS.join(', ')}` });
+  }
+  
+  const breakEntry = findBreakEntry(room, req.params.breakNumber);
+  if (!breakEntry || !breakEntry.questions) {
+    return res.status(404).json({ error: 'No report for that break' });
+  }
   
-  // Select appropriate question set
-  let questions = category === 'general' ? generalKnowledge : popCulture;
+  const { content, contentType, fileName } = exportReport(buildBreakReport(room, breakEntry), format);
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.status(200).send(content);
+});
+
+// All-time leaderboard across every room
+app.get('/api/leaderboard', limitRoute('leaderboard'), (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+  res.status(200).json({ players: leaderboard.getTopPlayers(limit) });
+});
+
+// All-time totals for one player, by the playerKey in leaderboard entries and break scores
+app.get('/api/leaderboard/players/:playerKey', limitRoute('leaderboard-player'), (req, res) => {
+  const player = leaderboard.getPlayer(req.params.playerKey);
   
-  // Apply custom time limit
-  if (timeLimit && timeLimit !== 10) {
-    questions = questions.map(q => ({...q, timeLimit: timeLimit}));
+  if (!player) {
+    return res.status(404).json({ error: 'Player not found' });
   }
+  
+  res.status(200).json({ player });
+});
 
-  // Return requested number of questions
-  return questions.slice(0, count);
-}
+// List the scoring profiles hosts can choose in create-room settings
+app.get('/api/scoring-profiles', limitRoute('scoring-profiles'), (req, res) => {
+  res.status(200).json({ profiles: listScoringProfiles() });
+});
+
+// List the question packs in the local question bank
+app.get('/api/question-packs', limitRoute('question-packs'), (req, res) => {
+  res.status(200).json({ packs: listPacks() });
+});
+
+// Add a question pack to the local question bank
+app.post('/api/question-packs', limitRoute('add-question-pack'), async (req, res) => {
+  // Adding packs writes to disk, so it needs the admin token - and is off until one is configured
+  if (!process.env.QUESTION_BANK_ADMIN_TOKEN) {
+    return res.status(403).json({ error: 'Adding question packs is disabled on this server' });
+  }
+  
+  const match = /^Bearer (.+)$/.exec(req.get('authorization') || '');
+  if (!match || !matchesAdminToken(match[1])) {
+    return res.status(401).json({ error: 'Not authorized to add question packs' });
+  }
+  
+  try {
+    const pack = await addPack(req.body);
+    res.status(201).json({ pack });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, details: error.details });
+    }
+    console.error('Error adding question pack:', error);
+    res.status(500).json({ error: 'Server error adding question pack' });
+  }
+});
 
-// File upload endpoint
-app.post('/api/upload-notes', async (req, res) => {
+// Replace a room's notes - hosts only, with "Authorization: Bearer <sessionToken>"
+app.post('/api/upload-notes', limitRoute('upload-notes'), uploadQuota, notesUpload, async (req, res) => {
   try {
     if (!req.files || !req.files.notes) {
       return res.status(400).json({ error: 'No file uploaded' });
@@ -1374,20 +2887,38 @@ app.post('/api/upload-notes', async (req, res) => {
       return res.status(404).json({ error: 'Room not found' });
     }
 
-    // Store the file content in the room
-    const fileContent = file.data.toString('utf8');
-    
-    // Basic validation of content
-    if (!fileContent || fileContent.trim().length < 10) {
-      return res.status(400).json({ error: 'File appears to be empty or too short' });
+    // Replacing a room's notes is for its hosts, the same as picking note sections
+    const member = findMemberByRequest(activeRooms[roomId], req);
+    if (!member) {
+      return res.status(401).json({ error: 'A session token for this room is required' });
     }
+    if (!canPerform(activeRooms[roomId], roleOf(activeRooms[roomId], member.id), 'upload-notes')) {
+      return res.status(403).json({ error: 'Only hosts can upload notes for this room' });
+    }
+
+    if (file.truncated) {
+      return res.status(413).json({ error: 'File is too large' });
+    }
+
+    // Extract the text - this also rejects empty and unsupported files
+    const notes = await extractNotesText(file);
 
     // Store the content in the room
-    activeRooms[roomId].studyNotesContent = fileContent;
-    console.log(`Stored ${fileContent.length} characters of notes content for room ${roomId}`);
+    setRoomNotes(activeRooms[roomId], notes.text);
+    persistRoom(roomId);
+    console.log(`Stored ${notes.text.length} characters of ${notes.format} notes content for room ${roomId}`);
 
-    res.status(200).json({ message: 'Notes uploaded successfully' });
+    res.status(200).json({
+      message: 'Notes uploaded successfully',
+      format: notes.format,
+      characters: notes.text.length,
+      preview: notes.preview,
+      sections: summarizeSections(activeRooms[roomId].notesIndex)
+    });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error handling file upload:', error);
     res.status(500).json({ error: 'Server error processing file' });
   }
@@ -1398,8 +2929,125 @@ app.get('/', (req, res) => {
   res.send('StudyBreak Trivia Server is running');
 });
 
-// Start server
-const PORT = process.env.PORT || 3001;
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+// Put stored rooms back into activeRooms and restart their timers from the stored end times
+async function restoreRooms() {
+  const storedRooms = await roomStore.loadRooms();
+  
+  storedRooms.forEach(stored => {
+    const { studyTimerActive, breakTimerActive, notesStored, ...roomData } = stored;
+    const room = {
+      ...roomData,
+      isRegeneratingQuestions: false,
+      pendingAnswers: [],
+      questionHistory: roomData.questionHistory || [],
+      breakHistory: roomData.breakHistory || [],
+      reviewItems: roomData.reviewItems || {},
+      questionTypes: normalizeQuestionTypes(roomData.questionTypes),
+      scoring: roomData.scoring || resolveScoringProfile(roomData.settings && roomData.settings.scoringProfile),
+      teamMode: roomData.teamMode || null,
+      passcodeHash: roomData.passcodeHash || null,
+      maxParticipants: roomData.maxParticipants || null,
+      bannedPlayers: roomData.bannedPlayers || [],
+      listing: roomData.listing || resolveListing(),
+      spectators: roomData.spectators || [],
+      topicSelection: resolveTopicSelection(roomData.topicSelection),
+      topicVote: null,
+      cyclePlan: roomData.cyclePlan || resolveCyclePlan(roomData.settings),
+      cycle: roomData.cycle || 1
+    };
+    
+    activeRooms[room.id] = room;
+    if (room.creatorAddress) {
+      roomCreators.set(room.id, { clientId: room.creatorClientId || null, address: room.creatorAddress });
+    }
+    
+    // Rooms saved before notes were stored on their own still carry them inline
+    if (room.studyNotesContent && !notesStored) {
+      roomStore.saveNotes(room.id, room.studyNotesContent).catch(error => {
+        console.error(`Error persisting notes for room ${room.id}:`, error);
+      });
+    }
+    
+    // Nobody is connected after a restart - everyone gets the grace period to rejoin
+    [...room.participants, ...room.spectators].forEach(participant => {
+      participant.connected = false;
+      participant.socketId = null;
+      participant.disconnectedAt = Date.now();
+      scheduleParticipantRemoval(room.id, participant.id);
+    });
+    
+    if (room.currentMode === 'study' && studyTimerActive && room.studyEndTime) {
+      // Leave at least one tick so an expired study timer still switches to trivia
+      const remaining = Math.ceil((room.studyEndTime - scheduler.now()) / 1000);
+      room.timerValue = Math.max(1, remaining);
+      startStudyTimer(room.id);
+    } else if (room.currentMode === 'trivia' && breakTimerActive && room.breakEndTime) {
+      // The countdown ends the break straight away if it ran out while we were down
+      startBreakTimer(room.id);
+      
+      if (room.playTrivia && !room.triviaPaused && room.triviaQuestions.length > 0) {
+        scheduler.after(roomTimer(room.id, 'next-question'), 3000, () => {
+          nextTriviaQuestion(room.id);
+        });
+      }
+    }
+    
+    console.log(`Restored room ${room.id} (${room.currentMode} mode, ${room.participants.length} participants)`);
+  });
+  
+  return storedRooms.length;
+}
+
+// Save every room before the process exits so a deploy doesn't lose recent changes
+async function shutdown(signal) {
+  console.log(`Received ${signal}, saving rooms before exit`);
+  
+  try {
+    Object.keys(activeRooms).forEach(roomId => persistRoom(roomId));
+    await Promise.all([roomStore.flush(), leaderboard.flush()]);
+  } catch (error) {
+    console.error('Error saving rooms during shutdown:', error);
+  }
+  
+  process.exit(0);
+}
+
+/**
+ * Restore stored rooms and start listening
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port to listen on, defaults to PORT or 3001
+ * @param {Object} options.clock - Clock for room timers (see createManualClock), the system clock by default
+ * @returns {Promise} - Resolves with the http server once it is listening
+ */
+function startServer({ port = process.env.PORT || 3001, clock } = {}) {
+  if (clock) {
+    scheduler = createScheduler({ clock });
+  }
+  
+  return restoreRooms()
+    .then(count => {
+      console.log(`Restored ${count} rooms from ${roomStore.name} room store`);
+    })
+    .catch(error => {
+      console.error('Error restoring rooms:', error);
+    })
+    .then(() => new Promise(resolve => {
+      server.listen(port, () => {
+        console.log(`Server running on port ${port}`);
+        resolve(server);
+      });
+    }));
+}
+
+if (require.main === module) {
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  startServer();
+}
+
+module.exports = {
+  app,
+  io,
+  server,
+  startServer
+};
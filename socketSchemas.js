@@ -0,0 +1,323 @@
+const { MAX_PHASE_SECONDS } = require('./cyclePlans');
+const { TOPIC_SELECTION_MODES } = require('./permissions');
+const { MAX_DESCRIPTION_LENGTH, MAX_TAG_LENGTH, MAX_TAGS } = require('./roomDirectory');
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const MAX_USERNAME_LENGTH = 40;
+const MAX_ROOM_NAME_LENGTH = 100;
+const MAX_TOPIC_LENGTH = 100;
+const MAX_ID_LENGTH = 64;
+const MAX_QUESTION_SECONDS = 300;
+
+const roomId = { type: 'string', required: true, maxLength: 16 };
+const playerId = { type: 'string', required: true, maxLength: MAX_ID_LENGTH };
+const teamId = { type: 'string', nullable: true, maxLength: MAX_ID_LENGTH };
+const username = { type: 'string', required: true, minLength: 1, maxLength: MAX_USERNAME_LENGTH };
+const passcode = { type: 'string', nullable: true, maxLength: 64 };
+const phaseLength = { type: 'integer', min: 1, max: MAX_PHASE_SECONDS };
+const questionSeconds = { type: 'integer', nullable: true, min: 1, max: MAX_QUESTION_SECONDS };
+const questionTypes = { type: 'array', items: { type: 'string', maxLength: 40 }, maxItems: 10 };
+const sectionIds = { type: 'array', items: { type: 'string', maxLength: MAX_ID_LENGTH }, maxItems: 200 };
+// Team setup, as read by resolveTeamMode
+const teamSettings = {
+  type: 'object',
+  nullable: true,
+  strict: true,
+  fields: {
+    enabled: { type: 'boolean' },
+    assignment: { type: 'string', maxLength: 20 },
+    teams: { type: 'array', items: { type: 'string', maxLength: 100 }, maxItems: 20 },
+    count: { type: 'integer', nullable: true, min: 1 },
+    consensus: { type: 'boolean' },
+    scoring: { type: 'string', maxLength: 20 }
+  }
+};
+const listingFields = {
+  public: { type: 'boolean' },
+  description: { type: 'string', nullable: true, maxLength: MAX_DESCRIPTION_LENGTH },
+  tags: { type: 'array', nullable: true, items: { type: 'string', maxLength: MAX_TAG_LENGTH }, maxItems: MAX_TAGS }
+};
+
+// Events that only send a room id
+const roomOnly = roomId;
+
+/**
+ * Payload shape of every event a client may send. A spec has a type - string, integer, number,
+ * boolean, object (with fields) or array (with items), or a list of them - plus optional required, nullable,
+ * values, min/max and minLength/maxLength/maxItems. Fields not listed are let through unless the
+ * object is strict - objects that are stored and sent to every member are - and handlers still
+ * check what a payload means, e.g. whether a team exists.
+ */
+const EVENT_SCHEMAS = {
+  'create-room': {
+    type: 'object',
+    required: true,
+    fields: {
+      host: { type: 'object', required: true, fields: { username } },
+      roomName: { type: 'string', maxLength: MAX_ROOM_NAME_LENGTH },
+      settings: {
+        type: 'object',
+        required: true,
+        strict: true,
+        fields: {
+          studyTime: { ...phaseLength, required: true },
+          breakTime: { ...phaseLength, required: true },
+          longBreakTime: { ...phaseLength, nullable: true },
+          longBreakEvery: { type: 'integer', nullable: true, min: 1 },
+          totalCycles: { type: 'integer', nullable: true, min: 1 },
+          autoStart: { type: 'boolean' },
+          maxParticipants: { type: 'integer', nullable: true, min: 0 },
+          passcode,
+          topicSelection: { type: 'string', values: TOPIC_SELECTION_MODES },
+          scoringProfile: { type: 'string', maxLength: 40 },
+          teams: teamSettings
+        }
+      },
+      triviaCategory: { type: 'string', maxLength: MAX_TOPIC_LENGTH },
+      triviaDifficulty: { type: 'string', values: DIFFICULTIES },
+      triviaTimeLimit: questionSeconds,
+      playTrivia: { type: 'boolean' },
+      fileId: { type: 'string', nullable: true, maxLength: MAX_ID_LENGTH },
+      teamId,
+      questionTypes,
+      listing: { type: 'object', nullable: true, fields: listingFields }
+    }
+  },
+  'join-room': {
+    type: 'object',
+    required: true,
+    fields: {
+      roomId,
+      user: { type: 'object', required: true, fields: { username } },
+      passcode,
+      sessionToken: { type: 'string', nullable: true, maxLength: 128 },
+      spectator: { type: 'boolean' },
+      teamId
+    }
+  },
+  'rejoin-room': {
+    type: 'object',
+    required: true,
+    fields: { roomId, sessionToken: { type: 'string', required: true, maxLength: 128 } }
+  },
+  'get-room': roomOnly,
+  'get-note-sections': roomOnly,
+  'get-review-status': roomOnly,
+  'select-note-sections': { type: 'object', required: true, fields: { roomId, sectionIds } },
+  'get-break-report': {
+    type: 'object',
+    required: true,
+    fields: {
+      roomId,
+      breakNumber: { type: 'integer', nullable: true, min: 1 },
+      format: { type: 'string', maxLength: 20 }
+    }
+  },
+  'set-question-types': { type: 'object', required: true, fields: { roomId, questionTypes } },
+  'set-room-access': {
+    type: 'object',
+    required: true,
+    fields: { roomId, passcode, maxParticipants: { type: 'integer', nullable: true, min: 0 } }
+  },
+  'set-room-listing': { type: 'object', required: true, fields: { roomId, ...listingFields } },
+  'kick-participant': { type: 'object', required: true, fields: { roomId, playerId } },
+  'ban-participant': { type: 'object', required: true, fields: { roomId, playerId } },
+  'transfer-host': { type: 'object', required: true, fields: { roomId, playerId } },
+  'set-role': {
+    type: 'object',
+    required: true,
+    fields: { roomId, playerId, role: { type: 'string', required: true, maxLength: 20 } }
+  },
+  'set-topic-selection': {
+    type: 'object',
+    required: true,
+    fields: { roomId, mode: { type: 'string', required: true, maxLength: 20 } }
+  },
+  'vote-topic': {
+    type: 'object',
+    required: true,
+    fields: {
+      roomId,
+      topic: { type: 'string', nullable: true, maxLength: MAX_TOPIC_LENGTH },
+      useNotes: { type: 'boolean' }
+    }
+  },
+  // Phase lengths are checked by the handler, which reports them as INVALID_PLAN
+  'set-cycle-plan': {
+    type: 'object',
+    required: true,
+    fields: {
+      roomId,
+      studyTime: { type: 'number', nullable: true },
+      breakTime: { type: 'number', nullable: true },
+      longBreakTime: { type: 'number', nullable: true },
+      longBreakEvery: { type: 'integer', nullable: true, min: 1 },
+      totalCycles: { type: 'integer', nullable: true, min: 1 },
+      autoStart: { type: 'boolean' }
+    }
+  },
+  'set-team-mode': {
+    type: 'object',
+    required: true,
+    fields: { roomId, teams: teamSettings }
+  },
+  'choose-team': {
+    type: 'object',
+    required: true,
+    fields: { roomId, teamId: { ...teamId, required: true, nullable: false } }
+  },
+  'assign-team': { type: 'object', required: true, fields: { roomId, playerId, teamId } },
+  'balance-teams': roomOnly,
+  'leave-room': roomOnly,
+  'start-timer': roomOnly,
+  'pause-timer': roomOnly,
+  'skip-timer': roomOnly,
+  'select-topic': {
+    type: 'object',
+    required: true,
+    fields: {
+      roomId,
+      topic: { type: 'string', nullable: true, maxLength: MAX_TOPIC_LENGTH },
+      difficulty: { type: 'string', nullable: true, values: DIFFICULTIES },
+      timeLimit: questionSeconds,
+      useNotes: { type: 'boolean' },
+      sections: sectionIds,
+      questionTypes
+    }
+  },
+  // Which answer field must be set depends on the question type - see readAnswer
+  'submit-answer': {
+    type: 'object',
+    required: true,
+    fields: {
+      roomId,
+      questionId: { type: 'string', required: true, maxLength: MAX_ID_LENGTH },
+      answerIndex: { type: 'integer', nullable: true },
+      answerIndices: { type: 'array', nullable: true, items: { type: 'integer' }, maxItems: 20 },
+      answerText: { type: 'string', nullable: true, maxLength: 1000 },
+      // Numeric questions take a number or typed text such as "1,200", read by parseNumber
+      answerValue: { type: ['number', 'string'], nullable: true, maxLength: 40 }
+    }
+  }
+};
+
+function describeType(spec) {
+  if (Array.isArray(spec.type)) {
+    return spec.type.map(type => describeType({ type })).join(' or ');
+  }
+  if (spec.type === 'integer') return 'a whole number';
+  if (spec.type === 'array') return 'a list';
+  if (spec.type === 'object') return 'an object';
+  return `a ${spec.type}`;
+}
+
+function hasType(spec, value) {
+  if (Array.isArray(spec.type)) {
+    return spec.type.some(type => hasType({ type }, value));
+  }
+
+  switch (spec.type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check a value against a spec
+ * @param {Object} spec - Spec from EVENT_SCHEMAS
+ * @param {*} value - Value to check
+ * @param {string} path - Name of the value for error messages, e.g. settings.studyTime ('' for the payload)
+ * @returns {string|null} - What's wrong with the value, or null if it fits the spec
+ */
+function checkValue(spec, value, path) {
+  const name = path || 'payload';
+
+  if (value === undefined) {
+    return spec.required ? `${name} is required` : null;
+  }
+  if (value === null) {
+    return spec.nullable ? null : `${name} must be ${describeType(spec)}`;
+  }
+  if (!hasType(spec, value)) {
+    return `${name} must be ${describeType(spec)}`;
+  }
+
+  if (spec.values && !spec.values.includes(value)) {
+    return `${name} must be one of: ${spec.values.join(', ')}`;
+  }
+  if (spec.min !== undefined && value < spec.min) {
+    return `${name} must be at least ${spec.min}`;
+  }
+  if (spec.max !== undefined && value > spec.max) {
+    return `${name} must be at most ${spec.max}`;
+  }
+
+  if (typeof value === 'string') {
+    const length = value.trim().length;
+    if (spec.minLength !== undefined && length < spec.minLength) {
+      return `${name} cannot be empty`;
+    }
+    if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+      return `${name} must be at most ${spec.maxLength} characters`;
+    }
+  }
+
+  if (spec.type === 'array') {
+    if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+      return `${name} can have at most ${spec.maxItems} items`;
+    }
+    if (spec.items) {
+      for (let index = 0; index < value.length; index++) {
+        const problem = checkValue(spec.items, value[index], `${path}[${index}]`);
+        if (problem) return problem;
+      }
+    }
+  }
+
+  if (spec.type === 'object' && spec.fields) {
+    for (const [field, fieldSpec] of Object.entries(spec.fields)) {
+      const problem = checkValue(fieldSpec, value[field], path ? `${path}.${field}` : field);
+      if (problem) return problem;
+    }
+
+    const unknown = spec.strict && Object.keys(value).find(field => !spec.fields[field]);
+    if (unknown) {
+      return `${path ? `${path}.${unknown}` : unknown} is not allowed`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check a socket event's payload against the event's schema
+ * @param {string} event - Event name, a key of EVENT_SCHEMAS
+ * @param {*} payload - First argument the client sent with the event
+ * @returns {string|null} - What's wrong with the payload, or null if it's valid
+ */
+function validatePayload(event, payload) {
+  const schema = EVENT_SCHEMAS[event];
+  if (!schema) return `Unknown event ${event}`;
+
+  // Room-only events send the bare id; object payloads name their fields from the top
+  return checkValue(schema, payload, schema.type === 'object' ? '' : 'roomId');
+}
+
+module.exports = {
+  EVENT_SCHEMAS,
+  MAX_TOPIC_LENGTH,
+  validatePayload
+};
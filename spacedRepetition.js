@@ -0,0 +1,164 @@
+const { fingerprintQuestion } = require('./questionHistory');
+
+// Breaks to wait before a question comes back, by Leitner box.
+// A correct answer from the last box retires the question for that player.
+const BOX_INTERVALS = [1, 2, 4, 8];
+
+// A correct answer with less than this fraction of the time left still counts as shaky
+const SLOW_ANSWER_FRACTION = 0.25;
+
+// Most questions a room keeps for review
+const MAX_REVIEW_ITEMS = 200;
+
+// Answer fields kept so a review question can be asked again exactly as before
+const REVIEW_QUESTION_FIELDS = ['type', 'text', 'options', 'correctIndex', 'correctIndices', 'answer', 'acceptedAnswers', 'unit', 'difficulty', 'source', 'explanation'];
+
+function copyQuestion(question) {
+  const copy = {};
+  REVIEW_QUESTION_FIELDS.forEach(field => {
+    if (question[field] !== undefined) {
+      copy[field] = JSON.parse(JSON.stringify(question[field]));
+    }
+  });
+  return copy;
+}
+
+function scheduleBox(entry, box, breakNumber) {
+  entry.box = box;
+  entry.dueBreak = breakNumber + BOX_INTERVALS[box - 1];
+}
+
+/**
+ * Sort each player's answer to a question into correct, slow or missed
+ * @param {Object} question - Question that just ended, with timeLimit
+ * @param {Array} gradedAnswers - Answers from gradeAnswers
+ * @param {Array} playerIds - Players who were there to answer - not answering counts as missed
+ * @returns {Array} - Array of { playerId, outcome }
+ */
+function reviewOutcomes(question, gradedAnswers, playerIds) {
+  return playerIds.map(playerId => {
+    const answer = gradedAnswers.find(entry => entry.userId === playerId);
+
+    if (!answer || answer.credit < 1) {
+      return { playerId, outcome: 'missed' };
+    }
+    if (question.timeLimit && answer.timeRemaining / question.timeLimit < SLOW_ANSWER_FRACTION) {
+      return { playerId, outcome: 'slow' };
+    }
+    return { playerId, outcome: 'correct' };
+  });
+}
+
+/**
+ * Update each player's review schedule for a question: missed questions go back to the
+ * first box, slow answers stay where they are, and correct answers to due questions move
+ * up a box
+ * @param {Object} reviewItems - Room review items keyed by question fingerprint, modified in place
+ * @param {Object} question - Notes-based question that just ended
+ * @param {Array} outcomes - Result of reviewOutcomes
+ * @param {number} breakNumber - Number of the break the question was asked in
+ */
+function recordReviewResults(reviewItems, question, outcomes, breakNumber) {
+  const { key } = fingerprintQuestion(question);
+  let item = reviewItems[key];
+
+  outcomes.forEach(({ playerId, outcome }) => {
+    const entry = item && item.players[playerId];
+
+    if (outcome === 'correct') {
+      // Only a due question moves up - getting it right early proves less
+      if (!entry || entry.dueBreak > breakNumber) return;
+
+      if (entry.box >= BOX_INTERVALS.length) {
+        delete item.players[playerId];
+      } else {
+        scheduleBox(entry, entry.box + 1, breakNumber);
+      }
+      return;
+    }
+
+    if (!item) {
+      item = { key, question: copyQuestion(question), players: {}, lastAskedBreak: breakNumber };
+      reviewItems[key] = item;
+    }
+
+    const tracked = item.players[playerId] || { box: 1, misses: 0 };
+    if (outcome === 'missed') {
+      tracked.misses += 1;
+      scheduleBox(tracked, 1, breakNumber);
+    } else {
+      scheduleBox(tracked, tracked.box, breakNumber);
+    }
+    item.players[playerId] = tracked;
+  });
+
+  if (item) {
+    item.lastAskedBreak = breakNumber;
+
+    // Nobody needs this question any more
+    if (Object.keys(item.players).length === 0) {
+      delete reviewItems[key];
+    }
+  }
+
+  // Forget the questions that haven't come up for longest once the room has too many
+  const keys = Object.keys(reviewItems);
+  if (keys.length > MAX_REVIEW_ITEMS) {
+    keys
+      .sort((a, b) => reviewItems[a].lastAskedBreak - reviewItems[b].lastAskedBreak)
+      .slice(0, keys.length - MAX_REVIEW_ITEMS)
+      .forEach(oldKey => delete reviewItems[oldKey]);
+  }
+}
+
+/**
+ * Take the review questions due in this break, the ones due for the most players first.
+ * Each question comes up at most once per break.
+ * @param {Object} reviewItems - Room review items, modified in place
+ * @param {number} breakNumber - Current break number
+ * @param {number} limit - Maximum number of questions
+ * @returns {Array} - Question copies marked with review: true, without ids
+ */
+function takeDueQuestions(reviewItems, breakNumber, limit) {
+  return Object.values(reviewItems)
+    .filter(item => item.lastAskedBreak < breakNumber)
+    .map(item => ({
+      item,
+      dueCount: Object.values(item.players).filter(entry => entry.dueBreak <= breakNumber).length
+    }))
+    .filter(({ dueCount }) => dueCount > 0)
+    .sort((a, b) => b.dueCount - a.dueCount)
+    .slice(0, limit)
+    .map(({ item }) => {
+      item.lastAskedBreak = breakNumber;
+      return { ...copyQuestion(item.question), review: true };
+    });
+}
+
+/**
+ * How many review questions each player has due and in total
+ * @param {Object} reviewItems - Room review items
+ * @param {number} breakNumber - Current break number
+ * @param {Array} participants - Room participants
+ * @returns {Array} - Array of { playerId, username, due, total }
+ */
+function reviewStatus(reviewItems, breakNumber, participants) {
+  const items = Object.values(reviewItems || {});
+
+  return participants.map(participant => {
+    const entries = items.map(item => item.players[participant.id]).filter(Boolean);
+    return {
+      playerId: participant.id,
+      username: participant.username,
+      due: entries.filter(entry => entry.dueBreak <= breakNumber).length,
+      total: entries.length
+    };
+  });
+}
+
+module.exports = {
+  recordReviewResults,
+  reviewOutcomes,
+  reviewStatus,
+  takeDueQuestions
+};
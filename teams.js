@@ -0,0 +1,174 @@
+const TEAM_ASSIGNMENT_MODES = ['auto', 'choose', 'host'];
+
+const DEFAULT_TEAM_NAMES = ['Red', 'Blue', 'Green', 'Yellow', 'Purple', 'Orange', 'Teal', 'Pink'];
+
+const MIN_TEAMS = 2;
+const MAX_TEAMS = 8;
+const MAX_TEAM_NAME_LENGTH = 40;
+
+/**
+ * Work out a room's team mode from its settings
+ * @param {Object} setting - { assignment, teams, count, consensus, scoring }, or falsy for free-for-all.
+ *   teams is a list of team names, count the number of teams to name automatically,
+ *   scoring is 'total' (default) or 'average' so uneven teams can compete fairly
+ * @returns {Object|null} - { assignment, consensus, scoring, teams: [{ id, name }] }, or null without teams
+ */
+function resolveTeamMode(setting) {
+  if (!setting || setting.enabled === false) return null;
+
+  const names = Array.isArray(setting.teams)
+    ? setting.teams
+        .map(name => (typeof name === 'string' ? name.trim().substring(0, MAX_TEAM_NAME_LENGTH) : ''))
+        .filter(Boolean)
+        .filter((name, index, all) => all.indexOf(name) === index)
+    : [];
+
+  if (names.length === 0) {
+    const count = Math.min(MAX_TEAMS, Math.max(MIN_TEAMS, parseInt(setting.count, 10) || MIN_TEAMS));
+    names.push(...DEFAULT_TEAM_NAMES.slice(0, count));
+  }
+
+  if (names.length < MIN_TEAMS) return null;
+
+  return {
+    assignment: TEAM_ASSIGNMENT_MODES.includes(setting.assignment) ? setting.assignment : 'auto',
+    consensus: Boolean(setting.consensus),
+    scoring: setting.scoring === 'average' ? 'average' : 'total',
+    teams: names.slice(0, MAX_TEAMS).map((name, index) => ({ id: `team-${index + 1}`, name }))
+  };
+}
+
+/**
+ * Find one of the room's teams
+ * @param {Object} teamMode - Result of resolveTeamMode
+ * @param {string} teamId - Team id
+ * @returns {Object|null} - { id, name }, or null if there is no such team
+ */
+function findTeam(teamMode, teamId) {
+  return (teamMode && teamMode.teams.find(team => team.id === teamId)) || null;
+}
+
+/**
+ * The team with the fewest members, for placing a player in auto mode
+ * @param {Object} teamMode - Result of resolveTeamMode
+ * @param {Array} participants - Room participants, with teamId
+ * @returns {string} - Team id, the earliest team winning ties
+ */
+function smallestTeamId(teamMode, participants) {
+  const sizes = teamMode.teams.map(team => ({
+    id: team.id,
+    size: participants.filter(p => p.teamId === team.id).length
+  }));
+  return sizes.reduce((smallest, team) => (team.size < smallest.size ? team : smallest)).id;
+}
+
+/**
+ * Spread every participant evenly over the teams, in join order
+ * @param {Object} teamMode - Result of resolveTeamMode
+ * @param {Array} participants - Room participants, modified in place
+ */
+function balanceTeams(teamMode, participants) {
+  participants.forEach((participant, index) => {
+    participant.teamId = teamMode.teams[index % teamMode.teams.length].id;
+  });
+}
+
+/**
+ * Standings of every team, best first. A team's score is the sum of its members' scores,
+ * or their average when the room scores teams by average.
+ * @param {Object} teamMode - Result of resolveTeamMode
+ * @param {Array} participants - Room participants, with teamId and score
+ * @returns {Array} - Array of { rank, teamId, name, score, members: [{ userId, username, score }] }
+ */
+function teamStandings(teamMode, participants) {
+  if (!teamMode) return [];
+
+  return teamMode.teams
+    .map(team => {
+      const members = participants
+        .filter(p => p.teamId === team.id)
+        .map(p => ({ userId: p.id, username: p.username, score: p.score }));
+      const total = members.reduce((sum, member) => sum + member.score, 0);
+
+      return {
+        teamId: team.id,
+        name: team.name,
+        score: teamMode.scoring === 'average' && members.length > 0
+          ? Math.round(total / members.length)
+          : total,
+        members
+      };
+    })
+    .sort((a, b) => b.score - a.score)
+    .map((team, index) => ({ rank: index + 1, ...team }));
+}
+
+/**
+ * Replace each team's answers with the team's majority answer, so the team answers as one.
+ * Every connected member gets the majority answer, timed at the first time it was given,
+ * and the team's id, so the team shares a first-correct bonus (see scoreAnswers). Ties go
+ * to the answer that came in first; players without a team keep their own answer.
+ * @param {Object} teamMode - Result of resolveTeamMode
+ * @param {Array} participants - Room participants, with teamId
+ * @param {Array} answers - Pending answers with userId, answer, timeRemaining and answeredAt
+ * @returns {Array} - Answers to grade, one per answering player or connected team member
+ */
+function applyTeamConsensus(teamMode, participants, answers) {
+  const teamOf = new Map(participants.map(p => [p.id, p.teamId]));
+  const result = answers.filter(answer => !findTeam(teamMode, teamOf.get(answer.userId)));
+
+  teamMode.teams.forEach(team => {
+    const teamAnswers = answers
+      .filter(answer => teamOf.get(answer.userId) === team.id)
+      .sort((a, b) => a.answeredAt - b.answeredAt);
+    if (teamAnswers.length === 0) return;
+
+    // Count votes per distinct answer, remembering who gave it first
+    const votes = new Map();
+    teamAnswers.forEach(answer => {
+      const key = JSON.stringify(answer.answer);
+      const vote = votes.get(key) || { count: 0, first: answer };
+      vote.count += 1;
+      votes.set(key, vote);
+    });
+    const majority = Array.from(votes.values())
+      .reduce((best, vote) => (vote.count > best.count ? vote : best));
+
+    participants
+      .filter(p => p.teamId === team.id && (p.connected || teamAnswers.some(answer => answer.userId === p.id)))
+      .forEach(member => {
+        result.push({ ...majority.first, userId: member.id, teamId: team.id });
+      });
+  });
+
+  return result;
+}
+
+/**
+ * Team setup as sent to clients
+ * @param {Object} teamMode - Result of resolveTeamMode
+ * @param {Array} participants - Room participants, with teamId
+ * @returns {Object|null} - { assignment, consensus, scoring, teams: [{ id, name, members }] }
+ */
+function describeTeams(teamMode, participants) {
+  if (!teamMode) return null;
+
+  return {
+    ...teamMode,
+    teams: teamMode.teams.map(team => ({
+      ...team,
+      members: participants.filter(p => p.teamId === team.id).map(p => ({ userId: p.id, username: p.username }))
+    }))
+  };
+}
+
+module.exports = {
+  TEAM_ASSIGNMENT_MODES,
+  applyTeamConsensus,
+  balanceTeams,
+  describeTeams,
+  findTeam,
+  resolveTeamMode,
+  smallestTeamId,
+  teamStandings
+};
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { exportReport } = require('../breakReports');
+
+function reportWith(username, answer, points = 100) {
+  return {
+    roomId: 'ABC123',
+    breakNumber: 1,
+    questions: [{
+      type: 'short-answer',
+      text: 'Capital of France?',
+      correctAnswer: 'Paris',
+      explanation: null,
+      accuracy: 100,
+      answers: [{ username, answer, credit: 1, timeTaken: 2.5, points }]
+    }]
+  };
+}
+
+function dataRow(report) {
+  return exportReport(report, 'csv').content.split('\r\n')[1];
+}
+
+test('CSV cells that look like formulas are exported as text', () => {
+  assert.strictEqual(
+    dataRow(reportWith('=HYPERLINK("http://evil.example","x")', '@SUM(A1)')),
+    `1,1,short-answer,Capital of France?,Paris,,100,"'=HYPERLINK(""http://evil.example"",""x"")",'@SUM(A1),correct,2.5,100`
+  );
+  assert.ok(dataRow(reportWith('+1 guy', '-cmd')).includes(`'+1 guy,'-cmd`));
+});
+
+test('negative numbers stay numbers', () => {
+  assert.ok(dataRow(reportWith('Sam', 'Paris', -50)).endsWith(',-50'));
+});
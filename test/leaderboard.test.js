@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLeaderboardStore, cumulativeStandings, playerKey, summarizeBreak } = require('../leaderboard');
+
+function playBreak(participants, number = 1) {
+  return summarizeBreak({ participants, triviaCategory: 'Space', teamMode: null }, { number, startedAt: 0, questions: [] });
+}
+
+test('two players with the same name keep separate all-time totals', async () => {
+  const leaderboard = createLeaderboardStore({ type: 'memory' });
+
+  await leaderboard.recordBreak(playBreak([
+    { id: 'p1', clientId: 'client-a', username: 'Sam', score: 300 },
+    { id: 'p2', clientId: 'client-b', username: 'sam', score: 100 }
+  ]));
+
+  const players = leaderboard.getTopPlayers();
+  assert.strictEqual(players.length, 2);
+  assert.deepStrictEqual(players.map(p => p.totalScore), [300, 100]);
+  assert.notStrictEqual(players[0].playerKey, players[1].playerKey);
+});
+
+test('a player adds up across rooms and renames under the same client id', async () => {
+  const leaderboard = createLeaderboardStore({ type: 'memory' });
+
+  await leaderboard.recordBreak(playBreak([{ id: 'room1-player', clientId: 'client-a', username: 'Sam', score: 200 }]));
+  await leaderboard.recordBreak(playBreak([{ id: 'room2-player', clientId: 'client-a', username: 'Samantha', score: 50 }]));
+
+  const player = leaderboard.getPlayer(playerKey({ id: 'room2-player', clientId: 'client-a' }));
+  assert.strictEqual(player.username, 'Samantha');
+  assert.strictEqual(player.totalScore, 250);
+  assert.strictEqual(player.breaksPlayed, 2);
+  assert.strictEqual(player.wins, 2);
+});
+
+test('leaderboard keys do not reveal the client id', () => {
+  const key = playerKey({ id: 'p1', clientId: 'client-a' });
+
+  assert.ok(!key.includes('client-a'));
+  assert.strictEqual(playerKey({ id: 'p1', clientId: null }), 'player-p1');
+});
+
+test('unknown players are not found', () => {
+  const leaderboard = createLeaderboardStore({ type: 'memory' });
+
+  assert.strictEqual(leaderboard.getPlayer('sam'), null);
+  assert.strictEqual(leaderboard.getPlayer('constructor'), null);
+});
+
+test('room standings stay keyed by player id', () => {
+  const standings = cumulativeStandings([
+    playBreak([{ id: 'p1', username: 'Sam', score: 10 }, { id: 'p2', username: 'Sam', score: 20 }])
+  ]);
+
+  assert.deepStrictEqual(standings.map(s => [s.playerId, s.totalScore]), [['p2', 20], ['p1', 10]]);
+});
@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { matchesAdminToken } = require('../questionBank');
+
+test('the admin token must match exactly', () => {
+  assert.strictEqual(matchesAdminToken('s3cret', 's3cret'), true);
+  assert.strictEqual(matchesAdminToken('s3cre', 's3cret'), false);
+  assert.strictEqual(matchesAdminToken('s3cret ', 's3cret'), false);
+  assert.strictEqual(matchesAdminToken(undefined, 's3cret'), false);
+});
+
+test('nobody is an admin when no admin token is configured', () => {
+  assert.strictEqual(matchesAdminToken('', ''), false);
+  assert.strictEqual(matchesAdminToken('anything', null), false);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter, eventLimits, routeLimit } = require('../rateLimits');
+
+function setup() {
+  let time = 0;
+  const limiter = createRateLimiter({ now: () => time });
+  return { limiter, advance: ms => { time += ms; } };
+}
+
+const limit = { burst: 3, perMinute: 60 }; // One token a second
+
+test('a bucket allows its burst, then says how long to wait', () => {
+  const { limiter } = setup();
+
+  assert.deepStrictEqual([1, 2, 3].map(() => limiter.take('socket:join', limit)), [0, 0, 0]);
+  assert.strictEqual(limiter.take('socket:join', limit), 1000);
+});
+
+test('buckets refill with time, up to the burst', () => {
+  const { limiter, advance } = setup();
+  [1, 2, 3].forEach(() => limiter.take('socket:join', limit));
+
+  advance(500);
+  assert.strictEqual(limiter.take('socket:join', limit), 500);
+  advance(500);
+  assert.strictEqual(limiter.take('socket:join', limit), 0);
+
+  advance(60000);
+  assert.deepStrictEqual([1, 2, 3, 4].map(() => limiter.take('socket:join', limit)), [0, 0, 0, 1000]);
+});
+
+test('keys have separate buckets', () => {
+  const { limiter } = setup();
+  [1, 2, 3].forEach(() => limiter.take('a:join', limit));
+
+  assert.strictEqual(limiter.take('b:join', limit), 0);
+});
+
+test('costs take several tokens, and a cost over the burst never fits', () => {
+  const { limiter } = setup();
+  const quota = { burst: 100, perMinute: 600 };
+
+  assert.strictEqual(limiter.take('upload', quota, 80), 0);
+  assert.strictEqual(limiter.take('upload', quota, 40), 2000);
+  assert.strictEqual(limiter.take('upload', quota, 101), Infinity);
+});
+
+test('full buckets are swept after a minute', () => {
+  const { limiter, advance } = setup();
+  limiter.take('a', limit);
+  limiter.take('b', limit);
+  assert.strictEqual(limiter.size(), 2);
+
+  advance(61000);
+  limiter.take('c', limit);
+  assert.strictEqual(limiter.size(), 1);
+});
+
+test('unknown events and routes get the default limits', () => {
+  assert.ok(eventLimits('create-room').socket.burst < eventLimits('no-such-event').socket.burst);
+  assert.ok(routeLimit('upload-notes').burst < routeLimit('no-such-route').burst);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBan, isBanned } = require('../roomAccess');
+const { issueSession } = require('../playerSessions');
+
+function bannedParticipant() {
+  const session = issueSession();
+  const participant = {
+    id: session.playerId,
+    sessionTokenHash: session.sessionTokenHash,
+    clientId: 'client-1',
+    username: 'Troll'
+  };
+  return { participant, session, bans: [createBan(participant)] };
+}
+
+test('a banned client is recognised under a new name and player id', () => {
+  const { bans } = bannedParticipant();
+
+  assert.strictEqual(isBanned(bans, { clientId: 'client-1', username: 'Friendly' }), true);
+  assert.strictEqual(isBanned(bans, { clientId: 'client-2', username: 'Friendly' }), false);
+});
+
+test('a banned session token is recognised under a new name', () => {
+  const { bans, session } = bannedParticipant();
+
+  assert.strictEqual(isBanned(bans, { sessionToken: session.sessionToken, username: 'Friendly' }), true);
+  assert.strictEqual(isBanned(bans, { sessionToken: issueSession().sessionToken, username: 'Friendly' }), false);
+});
+
+test('bans still match the player id and the name, ignoring case', () => {
+  const { bans, participant } = bannedParticipant();
+
+  assert.strictEqual(isBanned(bans, { playerId: participant.id }), true);
+  assert.strictEqual(isBanned(bans, { username: ' troll ' }), true);
+});
+
+test('ban records keep only the session token hash', () => {
+  const { bans, session } = bannedParticipant();
+
+  assert.strictEqual(bans[0].sessionTokenHash, session.sessionTokenHash);
+  assert.ok(!JSON.stringify(bans).includes(session.sessionToken));
+});
+
+test('clients without a client id or token are only matched by name', () => {
+  const bans = [createBan({ id: 'p1', username: 'Troll' })];
+
+  assert.strictEqual(isBanned(bans, { username: 'Someone' }), false);
+  assert.strictEqual(isBanned(bans, { clientId: null, sessionToken: null, username: 'Someone' }), false);
+  assert.strictEqual(isBanned([], { username: 'Troll' }), false);
+});
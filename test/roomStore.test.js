@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRoomStore, serializeRoom } = require('../roomStore');
+
+const NOTES = 'Photosynthesis turns light into chemical energy. '.repeat(1000);
+
+function notesRoom() {
+  return { id: 'ABC123', participants: [], studyNotesContent: NOTES, currentQuestionIndex: 3 };
+}
+
+test('room saves leave the notes out', () => {
+  const content = serializeRoom(notesRoom(), { study: true });
+  const stored = JSON.parse(content);
+
+  assert.ok(!content.includes('Photosynthesis'));
+  assert.strictEqual(stored.notesStored, true);
+  assert.strictEqual(stored.studyTimerActive, true);
+});
+
+test('the file store keeps notes in one file and loads them back with the room', async () => {
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'rooms-'));
+  const store = createRoomStore({ type: 'file', directory });
+  const room = notesRoom();
+
+  try {
+    await store.saveNotes(room.id, NOTES);
+    await store.saveRoom(room);
+    room.currentQuestionIndex = 4;
+    await store.saveRoom(room);
+    await store.flush();
+
+    assert.deepStrictEqual((await fs.promises.readdir(directory)).sort(), ['ABC123.json', 'ABC123.notes.txt']);
+
+    const [loaded] = await store.loadRooms();
+    assert.strictEqual(loaded.studyNotesContent, NOTES);
+    assert.strictEqual(loaded.currentQuestionIndex, 4);
+
+    await store.deleteRoom(room.id);
+    await store.flush();
+    assert.deepStrictEqual(await fs.promises.readdir(directory), []);
+  } finally {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  }
+});
+
+test('the memory store loads notes back with the room', async () => {
+  const store = createRoomStore({ type: 'memory' });
+  const room = notesRoom();
+
+  await store.saveNotes(room.id, NOTES);
+  await store.saveRoom(room);
+  room.currentQuestionIndex = 9; // Later changes don't leak into the saved copy
+
+  const [loaded] = await store.loadRooms();
+  assert.strictEqual(loaded.studyNotesContent, NOTES);
+  assert.strictEqual(loaded.currentQuestionIndex, 3);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createManualClock, createScheduler } = require('../scheduler');
+
+function setup(clock = createManualClock()) {
+  return { clock, scheduler: createScheduler({ clock }) };
+}
+
+test('jobs run at their time, in order, and a key scheduled again replaces its job', () => {
+  const { clock, scheduler } = setup();
+  const ran = [];
+
+  scheduler.at('room:b', 2000, () => ran.push(['b', clock.now()]));
+  scheduler.after('room:a', 1000, () => ran.push(['a', clock.now()]));
+  scheduler.after('room:c', 500, () => ran.push(['old c', clock.now()]));
+  scheduler.after('room:c', 1500, () => ran.push(['c', clock.now()]));
+
+  clock.advance(999);
+  assert.deepStrictEqual(ran, []);
+  clock.advance(1001);
+  assert.deepStrictEqual(ran, [['a', 1000], ['c', 1500], ['b', 2000]]);
+  assert.strictEqual(scheduler.size(), 0);
+});
+
+test('a countdown ticks every whole second, then ends exactly at its end time', () => {
+  const { clock, scheduler } = setup();
+  const events = [];
+
+  scheduler.countdown('room:break', 3500, {
+    onTick: secondsLeft => events.push(['tick', secondsLeft, clock.now()]),
+    onEnd: () => events.push(['end', clock.now()])
+  });
+
+  assert.strictEqual(scheduler.has('room:break'), true);
+  clock.advance(10000);
+  assert.deepStrictEqual(events, [
+    ['tick', 3, 500],
+    ['tick', 2, 1500],
+    ['tick', 1, 2500],
+    ['end', 3500]
+  ]);
+  assert.strictEqual(scheduler.has('room:break'), false);
+});
+
+test('cancel stops a countdown, cancelAll stops every job of one room', () => {
+  const { clock, scheduler } = setup();
+  const ran = [];
+
+  scheduler.countdown('A:question', 5000, {
+    onTick: secondsLeft => {
+      ran.push(`A tick ${secondsLeft}`);
+      if (secondsLeft === 3) scheduler.cancel('A:question');
+    },
+    onEnd: () => ran.push('A end')
+  });
+  scheduler.after('B:break', 1000, () => ran.push('B break'));
+  scheduler.after('B:next-question', 2000, () => ran.push('B next'));
+  scheduler.after('BC:break', 2000, () => ran.push('BC break'));
+
+  scheduler.cancelAll('B:');
+  clock.advance(10000);
+
+  assert.deepStrictEqual(ran, ['A tick 4', 'BC break', 'A tick 3']);
+  assert.strictEqual(scheduler.size(), 0);
+});
+
+test('late timers do not add up - ticks and the end stay tied to the end time', () => {
+  const manual = createManualClock();
+  // Every native timer fires 300ms late, as on a busy event loop
+  const laggy = {
+    now: manual.now,
+    setTimeout: (callback, delay) => manual.setTimeout(callback, delay + 300),
+    clearTimeout: manual.clearTimeout
+  };
+  const scheduler = createScheduler({ clock: laggy });
+  const events = [];
+
+  scheduler.countdown('room:study', 5000, {
+    onTick: secondsLeft => events.push([secondsLeft, manual.now()]),
+    onEnd: () => events.push(['end', manual.now()])
+  });
+  manual.advance(20000);
+
+  assert.deepStrictEqual(events, [[4, 1300], [3, 2300], [2, 3300], [1, 4300], ['end', 5300]]);
+});
+
+test('a countdown whose end time has passed ends straight away', () => {
+  const { clock, scheduler } = setup(createManualClock(10000));
+  const events = [];
+
+  scheduler.countdown('room:break', 4000, {
+    onTick: () => events.push('tick'),
+    onEnd: () => events.push(['end', clock.now()])
+  });
+  clock.advance(0);
+
+  assert.deepStrictEqual(events, [['end', 10000]]);
+});
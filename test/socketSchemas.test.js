@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validatePayload } = require('../socketSchemas');
+
+const answer = fields => ({ roomId: 'ABC123', questionId: 'q1', ...fields });
+
+test('submit-answer accepts numeric answers as numbers or typed text', () => {
+  assert.strictEqual(validatePayload('submit-answer', answer({ answerValue: 1969 })), null);
+  assert.strictEqual(validatePayload('submit-answer', answer({ answerValue: -2.5 })), null);
+  assert.strictEqual(validatePayload('submit-answer', answer({ answerValue: '1,200' })), null);
+  assert.strictEqual(validatePayload('submit-answer', answer({ answerValue: null })), null);
+});
+
+test('submit-answer rejects answerValue of other types or too long', () => {
+  assert.strictEqual(
+    validatePayload('submit-answer', answer({ answerValue: true })),
+    'answerValue must be a number or a string'
+  );
+  assert.strictEqual(
+    validatePayload('submit-answer', answer({ answerValue: Infinity })),
+    'answerValue must be a number or a string'
+  );
+  assert.strictEqual(
+    validatePayload('submit-answer', answer({ answerValue: '9'.repeat(41) })),
+    'answerValue must be at most 40 characters'
+  );
+});
+
+test('submit-answer still checks the other answer fields', () => {
+  assert.strictEqual(validatePayload('submit-answer', answer({ answerIndex: 2 })), null);
+  assert.strictEqual(validatePayload('submit-answer', answer({ answerIndex: 1.5 })), 'answerIndex must be a whole number');
+  assert.strictEqual(validatePayload('submit-answer', { roomId: 'ABC123' }), 'questionId is required');
+});
+
+test('room-only events name the room id in errors', () => {
+  assert.strictEqual(validatePayload('get-room', 'ABC123'), null);
+  assert.strictEqual(validatePayload('get-room', 42), 'roomId must be a string');
+  assert.strictEqual(validatePayload('no-such-event', {}), 'Unknown event no-such-event');
+});
+
+test('create-room settings reject keys the schema does not list', () => {
+  const create = settings => validatePayload('create-room', { host: { username: 'Ann' }, settings: { studyTime: 1500, breakTime: 300, ...settings } });
+
+  assert.strictEqual(create({ autoStart: true, teams: { teams: ['A', 'B'], consensus: true } }), null);
+  assert.strictEqual(create({ theme: 'dark' }), 'settings.theme is not allowed');
+  assert.strictEqual(create({ teams: { count: 2, notes: 'x'.repeat(1000) } }), 'settings.teams.notes is not allowed');
+});
+
+test('other payload objects still let unlisted fields through', () => {
+  assert.strictEqual(validatePayload('join-room', { roomId: 'ABC123', user: { username: 'Ann', avatar: 'cat' } }), null);
+});
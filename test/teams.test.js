@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyTeamConsensus, resolveTeamMode } = require('../teams');
+const { gradeAnswers } = require('../questionTypes');
+const { resolveScoringProfile, scoreAnswers } = require('../scoring');
+const { summarizeQuestion } = require('../breakReports');
+
+const question = { id: 'q1', type: 'multiple-choice', text: '2 + 2?', options: ['3', '4', '5', '6'], correctIndex: 1, timeLimit: 10 };
+const teamMode = resolveTeamMode({ count: 2, consensus: true });
+const participants = [
+  { id: 'ann', username: 'Ann', teamId: 'team-1', connected: true },
+  { id: 'bob', username: 'Bob', teamId: 'team-1', connected: true },
+  { id: 'cat', username: 'Cat', teamId: 'team-1', connected: true },
+  { id: 'dan', username: 'Dan', teamId: 'team-2', connected: true }
+];
+const pending = [
+  { userId: 'ann', answer: 1, timeRemaining: 9, answeredAt: 1000 },
+  { userId: 'dan', answer: 1, timeRemaining: 8, answeredAt: 2000 },
+  { userId: 'bob', answer: 2, timeRemaining: 7, answeredAt: 3000 },
+  { userId: 'cat', answer: 1, timeRemaining: 6, answeredAt: 4000 }
+];
+
+function playQuestion() {
+  const graded = gradeAnswers(question, applyTeamConsensus(teamMode, participants, pending));
+  return scoreAnswers(resolveScoringProfile('speed-race'), question, graded, {});
+}
+
+test('the first team to answer correctly shares the first-correct bonus', () => {
+  const bonus = Object.fromEntries(playQuestion().map(entry => [entry.userId, entry.firstCorrectBonus]));
+
+  assert.deepStrictEqual(bonus, { ann: 10, bob: 10, cat: 10, dan: 0 });
+});
+
+test('break reports show what each team member answered, with the team points', () => {
+  const summary = summarizeQuestion(question, gradeAnswers(question, pending), playQuestion(), participants, 0);
+  const bob = summary.answers.find(entry => entry.playerId === 'bob');
+  const ann = summary.answers.find(entry => entry.playerId === 'ann');
+
+  assert.strictEqual(bob.answer, '5');
+  assert.strictEqual(bob.credit, 0);
+  assert.strictEqual(bob.points, ann.points);
+  assert.strictEqual(ann.answer, '4');
+});